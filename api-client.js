@@ -0,0 +1,221 @@
+/**
+ * Cliente HTTP del API: tiempo límite por petición, cancelación con AbortSignal,
+ * reintentos con jitter para GET y errores tipados según lo que falló.
+ * Lo usan las páginas a través de App.apiCall; el Service Worker y la cola de
+ * sincronización hacen sus peticiones con fetch directamente.
+ */
+class ApiError extends Error {
+  constructor(message, { status = 0, body = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = "api";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Sin red, o el Service Worker respondió que no tiene copia guardada (offline = true)
+class NetworkError extends ApiError {
+  constructor(message, { offline = false, ...rest } = {}) {
+    super(message, rest);
+    this.name = "NetworkError";
+    this.kind = "network";
+    this.offline = offline;
+  }
+}
+
+class TimeoutError extends ApiError {
+  constructor(message, rest) {
+    super(message, rest);
+    this.name = "TimeoutError";
+    this.kind = "timeout";
+  }
+}
+
+// 401 (sesión inválida) o 403 (sin permiso)
+class AuthError extends ApiError {
+  constructor(message, rest) {
+    super(message, rest);
+    this.name = "AuthError";
+    this.kind = "auth";
+  }
+}
+
+// 400 / 422: los datos enviados no son válidos; fields = { campo: mensaje }
+class ValidationError extends ApiError {
+  constructor(message, rest) {
+    super(message, rest);
+    this.name = "ValidationError";
+    this.kind = "validation";
+    this.fields = (rest && rest.body && rest.body.errors) || {};
+  }
+}
+
+class ServerError extends ApiError {
+  constructor(message, rest) {
+    super(message, rest);
+    this.name = "ServerError";
+    this.kind = "server";
+  }
+}
+
+self.ApiClient = {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  AuthError,
+  ValidationError,
+  ServerError,
+
+  DEFAULT_TIMEOUT: 15 * 1000,
+  // Solo se reintentan métodos idempotentes
+  RETRY_METHODS: ["GET", "HEAD"],
+  MAX_RETRIES: 2,
+  RETRY_BASE_DELAY: 500,
+  RETRY_MAX_DELAY: 5 * 1000,
+  // 408 y 429 son temporales; 502-504 suelen ser el backend despertando
+  RETRY_STATUSES: [408, 429, 502, 503, 504],
+
+  /**
+   * Hace la petición y devuelve el cuerpo (JSON o texto).
+   * @param {string} url - URL completa.
+   * @param {object} options - method, headers, body, cache, más:
+   *   signal (cancela la petición), timeout (ms por intento),
+   *   retries (reintentos si es GET), onResponse(response) (se llama con cada respuesta).
+   * @returns {Promise<object|string>}
+   * @throws {ApiError} - O un DOMException "AbortError" si se canceló con signal.
+   */
+  async request(url, options = {}) {
+    const {
+      signal,
+      timeout = this.DEFAULT_TIMEOUT,
+      retries = this.MAX_RETRIES,
+      onResponse,
+      ...fetchOptions
+    } = options;
+    const method = (fetchOptions.method || "GET").toUpperCase();
+    const maxRetries = this.RETRY_METHODS.includes(method) ? retries : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._attempt(url, { ...fetchOptions, method }, { signal, timeout, onResponse });
+      } catch (error) {
+        if (this.isAbort(error) || !error.retryable || attempt >= maxRetries) throw error;
+        await this._sleep(this.getRetryDelay(attempt, error.retryAfter), signal);
+      }
+    }
+  },
+
+  /**
+   * true si el error viene de cancelar la petición (no hay que mostrarlo al usuario).
+   */
+  isAbort(error) {
+    return Boolean(error) && error.name === "AbortError";
+  },
+
+  /**
+   * Espera antes del reintento: backoff exponencial con jitter completo,
+   * o lo que pida el servidor en Retry-After.
+   */
+  getRetryDelay(attempt, retryAfter) {
+    if (retryAfter) return Math.min(retryAfter, this.RETRY_MAX_DELAY);
+    const ceiling = Math.min(this.RETRY_BASE_DELAY * 2 ** attempt, this.RETRY_MAX_DELAY);
+    return Math.round(Math.random() * ceiling);
+  },
+
+  async _attempt(url, fetchOptions, { signal, timeout, onResponse }) {
+    if (signal && signal.aborted) throw this._abortError();
+
+    // Un controlador por intento: lo aborta el tiempo límite o la señal de quien llama
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const forwardAbort = () => controller.abort();
+    if (signal) signal.addEventListener("abort", forwardAbort);
+
+    try {
+      const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+      if (onResponse) onResponse(response);
+      return await this._parse(response);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (timedOut) {
+        const timeoutError = new TimeoutError(`El servidor no respondió en ${timeout / 1000} s`);
+        timeoutError.retryable = true;
+        throw timeoutError;
+      }
+      if (this.isAbort(error)) throw error;
+
+      // TypeError: fetch falló sin Service Worker que responda
+      const networkError = new NetworkError("No se pudo conectar con el servidor", { offline: true });
+      networkError.retryable = true;
+      throw networkError;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", forwardAbort);
+    }
+  },
+
+  async _parse(response) {
+    const contentType = response.headers.get("content-type") || "";
+    const body = contentType.includes("application/json")
+      ? await response.json().catch(() => null)
+      : await response.text();
+
+    if (response.ok) return body;
+    throw this._errorFor(response, body);
+  },
+
+  /**
+   * Elige el tipo de error según el código HTTP.
+   */
+  _errorFor(response, body) {
+    const status = response.status;
+    const detail = (body && (body.message || body.error)) || (typeof body === "string" && body) || "";
+    const message = detail || `Error ${status} en la API`;
+    let error;
+
+    // 503 del Service Worker: sin conexión y sin copia guardada (reintentar no sirve)
+    if (response.headers.get("X-CC-Offline")) {
+      return new NetworkError("Sin conexión y sin datos guardados", { offline: true, status, body });
+    }
+
+    if (status === 401 || status === 403) {
+      error = new AuthError(message, { status, body });
+    } else if (status === 400 || status === 422) {
+      error = new ValidationError(message, { status, body });
+    } else if (status >= 500) {
+      error = new ServerError(message, { status, body });
+    } else {
+      error = new ApiError(message, { status, body });
+    }
+
+    error.retryable = this.RETRY_STATUSES.includes(status);
+    const retryAfter = Number(response.headers.get("Retry-After"));
+    if (retryAfter > 0) error.retryAfter = retryAfter * 1000;
+    return error;
+  },
+
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this._abortError());
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener("abort", () => {
+          clearTimeout(timer);
+          reject(this._abortError());
+        }, { once: true });
+      }
+    });
+  },
+
+  _abortError() {
+    return new DOMException("Petición cancelada", "AbortError");
+  },
+};
@@ -1,39 +1,120 @@
 window.App = {
   // --- CONFIGURACIÓN ---
-  apiBaseUrl: "https://ciudad-conectada.onrender.com/api",
+  // Se llenan en loadConfig() desde config.json (ver config.js)
+  config: null,
+  apiBaseUrl: null,
+  // Las rutas de evidencias que devuelve la API son relativas a este origen
+  assetBaseUrl: null,
   currentUser: null,
+  currentReport: null,
+  // Fecha de los datos más viejos que la página mostró desde la cache del Service Worker
+  staleDataAt: null,
+  // true si alguna copia se sirvió por falta de red (no solo porque el servidor tardó)
+  staleDataOffline: false,
+
+  // --- FLUJO DE ESTADOS DE LOS REPORTES ---
+  // Única definición de estados y transiciones: la usan el menú "Cambiar Estado",
+  // los badges, el filtro de estado de Home y la cola offline.
+  statusWorkflow: {
+    initial: "Enviado",
+    states: {
+      "Enviado": { badge: "pending", icon: "flag" },
+      "En Progreso": { badge: "progress", icon: "autorenew" },
+      "En Espera": { badge: "hold", icon: "pause_circle" },
+      // final: el reporte ya no está abierto (no se descarga para el turno offline)
+      "Resuelto": { badge: "resolved", icon: "check_circle", final: true },
+      "Rechazado": { badge: "rejected", icon: "block", final: true },
+    },
+    // roles: grupos de rol que pueden hacer la transición (ver getRoleGroup)
+    transitions: [
+      { from: "Enviado", to: "En Progreso", label: "Iniciar atención", roles: ["inspector", "supervisor"] },
+      { from: "Enviado", to: "Rechazado", label: "Rechazar", roles: ["inspector", "supervisor"], requiresComment: true },
+      { from: "En Progreso", to: "Resuelto", label: "Marcar como resuelto", roles: ["inspector", "supervisor"] },
+      { from: "En Progreso", to: "En Espera", label: "Poner en espera", roles: ["inspector", "supervisor"], requiresComment: true },
+      { from: "En Progreso", to: "Enviado", label: "Regresar a Enviado", roles: ["inspector", "supervisor"], requiresComment: true },
+      { from: "En Espera", to: "En Progreso", label: "Reanudar", roles: ["inspector", "supervisor"] },
+      { from: "Resuelto", to: "En Progreso", label: "Reabrir", roles: ["supervisor"], requiresComment: true },
+      { from: "Rechazado", to: "Enviado", label: "Reabrir", roles: ["supervisor"], requiresComment: true },
+    ],
+  },
 
   // --- INICIALIZACIÓN ---
   /**
    * Registra el Service Worker, restaura la sesión del usuario y configura la lógica de la página actual.
    */
-  init() {
+  async init() {
     // Registrar Service Worker
     this.registerSW();
 
     // Restaurar sesión del usuario si existe
     this.restoreCurrentUser();
 
+    // URL del API, funciones activas y tiempos de espera
+    await this.loadConfig();
+    this.setupRequestCancellation();
+    this.setupSessionRefresh();
+
     // Configurar eventos globales (formularios, botones, etc.)
     this.setupEventListeners();
 
     // Cargar lógica según la página actual
     this.setupPageSpecificLogic();
 
+    // Las páginas públicas cargan sync-queue.js solo para compartir la sesión al iniciarla:
+    // no hay cola que mostrar ni reenviar
+    if (!this.isPublicPage()) {
+      // Preparar la cola offline antes de que el banner dispare la sincronización
+      this.setupSyncQueue();
+    }
+
+    // Sin sesión no hay feed: las páginas públicas no cargan notification-store.js
+    if (!this.isPublicPage()) this.setupNotifications();
+
     this.setupOnlineOfflineBanner();
+  },
 
+  /**
+   * Lee config.json (con el override de desarrollo, si hay uno).
+   */
+  async loadConfig() {
+    try {
+      this.config = await AppConfig.load();
+    } catch (error) {
+      console.error("Error al cargar la configuración:", error);
+      this.config = AppConfig.resolve();
+    }
 
-    // Escuchar mensajes del Service Worker para sincronización en background
-    if ("serviceWorker" in navigator) {
-      navigator.serviceWorker.addEventListener("message", (event) => {
+    this.apiBaseUrl = this.config.apiBaseUrl;
+    this.assetBaseUrl = this.config.assetBaseUrl;
+    if (this.config.timeouts.liveUpdateInterval) {
+      this.liveUpdateInterval = this.config.timeouts.liveUpdateInterval;
+    }
+  },
 
-        if (event.data && event.data.type === "SYNC_NOW") {
-          console.log("Mensaje del SW recibido → Procesando cola de sincronización…");
-          this.processSyncQueue();
-        }
+  isFeatureEnabled(name) {
+    return this.config.features[name] !== false;
+  },
 
-      });
+  /**
+   * Apunta la app a otro backend sin editar archivos (desarrollo):
+   * App.setConfigOverride({ environment: "local" })
+   * App.setConfigOverride({ apiBaseUrl: "http://192.168.0.10:3000/api" })
+   */
+  async setConfigOverride(override) {
+    await AppConfig.setOverride(override);
+    this.reloadWithNewConfig();
+  },
+
+  async clearConfigOverride() {
+    await AppConfig.clearOverride();
+    this.reloadWithNewConfig();
+  },
+
+  reloadWithNewConfig() {
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.controller.postMessage({ type: "CONFIG_CHANGED" });
     }
+    window.location.reload();
   },
 
   // --- AUTENTICACIÓN Y GESTIÓN DE SESIÓN (CON JWT) ---
@@ -54,15 +135,15 @@ window.App = {
       const response = await this.apiCall("/auth/login", {
         method: "POST",
         body: { email, password },
+        skipAuth: true,
+        quiet: true,
       });
 
       // La API ya devuelve token + user ✔
       if (response.token && response.user) {
 
-        // Guardamos token + datos del usuario
-        localStorage.setItem("authToken", response.token);
-        localStorage.setItem("currentUser", JSON.stringify(response.user));
-        this.currentUser = response.user;
+        // Guardamos token + datos del usuario (y el refresh token, si la API lo da)
+        this.setAuthData(response.token, response.user, response.refreshToken || null);
 
         this.showMessage("Inicio de sesión exitoso ✔", 2500);
 
@@ -76,118 +157,632 @@ window.App = {
 
     } catch (error) {
       console.error("Error en login:", error);
-      this.showMessage("Credenciales incorrectas", 3000);
+      let message = this.getApiErrorMessage(error);
+      if (error instanceof ApiClient.AuthError) {
+        // 403: la cuenta existe pero un supervisor todavía no la aprueba
+        message = error.status === 403
+          ? (error.body && error.body.message) || "Tu cuenta todavía no está activa."
+          : "Credenciales incorrectas";
+      }
+      this.showMessage(message, 4000);
       return false;
     }
   },
 
 
   /**
-   * Registra un nuevo usuario en la API.
+   * Registra un nuevo usuario en la API. Las cuentas nuevas nunca son de administrador.
    * @param {object} userData - Datos del nuevo usuario.
-   * @returns {Promise<object>} - Respuesta de la API.
+   * @returns {Promise<object>} - El usuario creado (o { token, user } si la API inicia la sesión).
+   * @throws {ApiError}
    */
-  async registerUser(userData) {
-    try {
-      const response = await this.apiCall("/Users", {
-        method: "POST",
-        body: userData,
-      });
-
-      // Registro exitoso → enviar a login
-      this.showMessage("Cuenta creada correctamente. Inicia sesión.", 3000);
-      setTimeout(() => (window.location.href = "Login.html"), 2000);
+  registerUser(userData) {
+    return this.apiCall("/Users", {
+      method: "POST",
+      body: { ...userData, isAdmin: false },
+      skipAuth: true,
+      quiet: true,
+    });
+  },
 
-      return true;
-    } catch (error) {
-      this.showMessage("Error al registrar usuario.", 3000);
-      throw error;
-    }
+  /**
+   * true si la cuenta espera la aprobación de un supervisor (inspectores recién registrados).
+   */
+  isPendingApproval(user) {
+    return Boolean(user) && (user.active === false || user.estado === "pendiente");
   },
 
   /**
    * Guarda el token y los datos del usuario en localStorage.
    * @param {string} token - El token JWT de la API.
    * @param {object} user - El objeto con los datos del usuario.
+   * @param {string|null} [refreshToken] - null lo borra; sin pasar se conserva el actual.
    */
-  setAuthData(token, user) {
+  setAuthData(token, user, refreshToken) {
     localStorage.setItem("authToken", token);
     localStorage.setItem("currentUser", JSON.stringify(user));
     this.currentUser = user;
+
+    if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+    if (refreshToken === null) localStorage.removeItem("refreshToken");
+
+    // El Service Worker no puede leer localStorage: necesita el token para reenviar la cola
+    // y el id del usuario para reenviar solo sus acciones
+    this.shareSessionWithServiceWorker(token, user);
+
+    this.scheduleTokenRefresh();
+    this.restartLiveUpdates();
+  },
+
+  // ---- Ciclo de vida del token ----
+  // El token se renueva cuando le quedan menos de 2 minutos
+  tokenRefreshMargin: 2 * 60 * 1000,
+  tokenRefreshTimer: null,
+  refreshPromise: null,
+  reloginPromise: null,
+  reloginHandlers: null,
+  // Si el usuario pospone el inicio de sesión, no se le vuelve a interrumpir en esta página
+  reloginDeclined: false,
+  loggingOut: false,
+
+  /**
+   * Lee el payload de un JWT (sin verificar la firma, eso lo hace el servidor).
+   * @returns {object|null}
+   */
+  decodeToken(token) {
+    try {
+      const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+      return JSON.parse(atob(payload));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Fecha de expiración del token en ms, o null si no la trae.
+   */
+  getTokenExpiry(token = localStorage.getItem("authToken")) {
+    const payload = token && this.decodeToken(token);
+    return payload && payload.exp ? payload.exp * 1000 : null;
+  },
+
+  /**
+   * Renueva el token antes de que expire, al volver a la pestaña y al recuperar la conexión.
+   */
+  setupSessionRefresh() {
+    if (!localStorage.getItem("authToken")) return;
+
+    this.scheduleTokenRefresh();
+    this.ensureFreshToken();
+
+    window.addEventListener("online", () => this.ensureFreshToken());
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden) this.ensureFreshToken();
+    });
+
+    // Otra pestaña renovó el token o cerró la sesión
+    window.addEventListener("storage", (event) => {
+      if (event.key !== "authToken") return;
+      this.restoreCurrentUser();
+      this.scheduleTokenRefresh();
+      this.restartLiveUpdates();
+      if (event.newValue && this.reloginHandlers) this.reloginHandlers.resolve(event.newValue);
+    });
+  },
+
+  scheduleTokenRefresh() {
+    clearTimeout(this.tokenRefreshTimer);
+    const expiry = this.getTokenExpiry();
+    if (!expiry) return;
+
+    // setTimeout no admite más de ~24 días
+    const delay = Math.min(Math.max(expiry - this.tokenRefreshMargin - Date.now(), 0), 2 ** 31 - 1);
+    this.tokenRefreshTimer = setTimeout(() => this.ensureFreshToken(), delay);
+  },
+
+  /**
+   * Devuelve el token vigente, renovándolo antes si está por expirar.
+   * Sin conexión se devuelve tal cual: la cache y la cola siguen funcionando
+   * y se renueva al volver la conexión.
+   */
+  async ensureFreshToken() {
+    const token = localStorage.getItem("authToken");
+    const expiry = this.getTokenExpiry(token);
+    if (!token || !expiry || !navigator.onLine) return token;
+
+    const expired = expiry <= Date.now();
+    const expiring = expiry - this.tokenRefreshMargin <= Date.now();
+    // Sin refresh token solo se interrumpe al usuario cuando el token ya expiró
+    if (expired || (expiring && localStorage.getItem("refreshToken"))) {
+      await this.refreshSession().catch(() => {
+        /* Se usa el token actual; el 401 se maneja en apiCall */
+      });
+    }
+    return localStorage.getItem("authToken");
+  },
+
+  /**
+   * Obtiene un token nuevo con el refresh token (una sola petición aunque la pidan varias llamadas).
+   * Si la API rechaza el refresh token, o no hay, pide volver a iniciar sesión sin salir de la página.
+   * @returns {Promise<string>} - El token nuevo.
+   * @throws {ApiError} - Sin conexión o error del servidor: se conserva la sesión actual.
+   */
+  refreshSession() {
+    if (this.refreshPromise) return this.refreshPromise;
+
+    this.refreshPromise = (async () => {
+      const previousToken = localStorage.getItem("authToken");
+      const refreshToken = localStorage.getItem("refreshToken");
+      if (!refreshToken) return this.requestRelogin();
+
+      try {
+        const response = await this.apiCall("/auth/refresh", {
+          method: "POST",
+          body: { refreshToken },
+          skipAuth: true,
+          quiet: true,
+        });
+        this.setAuthData(response.token, response.user || this.currentUser, response.refreshToken || refreshToken);
+        return response.token;
+      } catch (error) {
+        if (error instanceof ApiClient.NetworkError || error instanceof ApiClient.TimeoutError ||
+          error instanceof ApiClient.ServerError || ApiClient.isAbort(error)) {
+          throw error;
+        }
+        // Otra pestaña pudo usar el mismo refresh token un momento antes
+        const currentToken = localStorage.getItem("authToken");
+        if (currentToken && currentToken !== previousToken) return currentToken;
+        return this.requestRelogin();
+      }
+    })().finally(() => {
+      this.refreshPromise = null;
+    });
+
+    return this.refreshPromise;
+  },
+
+  /**
+   * Abre el modal de inicio de sesión y resuelve con el token nuevo.
+   * La página no se recarga y la cola de sincronización no se toca.
+   * @returns {Promise<string>}
+   */
+  requestRelogin() {
+    if (this.reloginDeclined) {
+      return Promise.reject(new ApiClient.AuthError("La sesión expiró", { status: 401 }));
+    }
+    if (this.reloginPromise) return this.reloginPromise;
+
+    this.reloginPromise = new Promise((resolve, reject) => {
+      this.reloginHandlers = { resolve, reject };
+    }).finally(() => {
+      this.reloginPromise = null;
+      this.reloginHandlers = null;
+      const modal = document.getElementById("relogin-modal");
+      if (modal) modal.remove();
+    });
+
+    this.showReloginModal();
+    return this.reloginPromise;
+  },
+
+  showReloginModal() {
+    const modal = document.createElement("div");
+    modal.id = "relogin-modal";
+    modal.className = "modal";
+    modal.innerHTML = `
+      <form class="modal__dialog login-form" role="dialog" aria-modal="true" aria-labelledby="relogin-title">
+        <h2 id="relogin-title" class="login-form__title">Tu sesión expiró</h2>
+        <p class="modal__text">
+          Vuelve a iniciar sesión para continuar. Lo que tienes en pantalla y las acciones
+          pendientes de sincronizar se conservan.
+        </p>
+        <div class="login-form__group">
+          <input name="email" type="email" class="login-form__input" placeholder="Correo electrónico" autocomplete="username" required>
+        </div>
+        <div class="login-form__group">
+          <input name="password" type="password" class="login-form__input" placeholder="Contraseña" autocomplete="current-password" required>
+        </div>
+        <p class="modal__error" data-relogin-error hidden></p>
+        <button type="submit" class="login-form__button">Continuar</button>
+        <button type="button" class="login-form__link modal__link" data-relogin-later>Más tarde</button>
+        <button type="button" class="login-form__link modal__link" data-relogin-logout>Entrar con otra cuenta</button>
+      </form>
+    `;
+
+    const form = modal.querySelector("form");
+    // La cola pertenece a este usuario: el correo no se cambia aquí
+    if (this.currentUser && this.currentUser.email) {
+      form.email.value = this.currentUser.email;
+      form.email.readOnly = true;
+    }
+
+    form.addEventListener("submit", (e) => this.handleReloginSubmit(e));
+    modal.querySelector("[data-relogin-later]").addEventListener("click", () => {
+      this.reloginDeclined = true;
+      this.reloginHandlers.reject(new ApiClient.AuthError("La sesión expiró", { status: 401 }));
+    });
+    modal.querySelector("[data-relogin-logout]").addEventListener("click", () => this.logout());
+
+    document.body.appendChild(modal);
+    (form.email.readOnly ? form.password : form.email).focus();
+  },
+
+  async handleReloginSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const errorEl = form.querySelector("[data-relogin-error]");
+    const submit = form.querySelector("[type='submit']");
+    submit.disabled = true;
+    errorEl.hidden = true;
+
+    try {
+      const response = await this.apiCall("/auth/login", {
+        method: "POST",
+        body: { email: form.email.value, password: form.password.value },
+        skipAuth: true,
+        quiet: true,
+      });
+      this.setAuthData(response.token, response.user, response.refreshToken || null);
+      this.reloginHandlers.resolve(response.token);
+
+      this.showMessage("Sesión renovada ✔", 2500);
+    } catch (error) {
+      errorEl.textContent =
+        error instanceof ApiClient.AuthError ? "Contraseña incorrecta" : this.getApiErrorMessage(error);
+      errorEl.hidden = false;
+      submit.disabled = false;
+    }
   },
 
   /**
    * Cierra la sesión del usuario y lo redirige a la página de login.
+   * Sus acciones sin sincronizar se conservan en el dispositivo, pero la cola
+   * solo las muestra y reenvía cuando él vuelve a iniciar sesión.
    */
-  logout() {
+  async logout() {
+    if (this.loggingOut) return;
+    this.loggingOut = true;
+
     // Elimina solamente datos de sesión (mejor que clear())
     localStorage.removeItem("authToken");
+    localStorage.removeItem("refreshToken");
     localStorage.removeItem("currentUser");
-
+    clearTimeout(this.tokenRefreshTimer);
     this.currentUser = null;
 
+    // Se espera a la limpieza: la página siguiente no debe ver datos del usuario anterior
+    await Promise.all([
+      IDB.deleteMeta("authToken"),
+      IDB.deleteMeta(SyncQueue.USER_META_KEY),
+      this.clearNotificationData(),
+      this.clearPushSubscription(),
+      this.clearOfflineShift(),
+      // Las respuestas del API en cache pertenecen al alcance de este usuario
+      this.postToServiceWorker({ type: "CLEAR_USER_CACHE" }),
+    ].map((task) => Promise.resolve(task).catch(() => {
+      /* No crítico */
+    })));
+
     // Evita usar redirección que pueda fallar offline
     window.location.href = "Login.html";
   },
 
+  /**
+   * Envía un mensaje al Service Worker y espera su respuesta (o timeout ms).
+   * Sin Service Worker que controle la página, resuelve de inmediato.
+   */
+  postToServiceWorker(message, timeout = 3000) {
+    const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (!controller) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(resolve, timeout);
+      channel.port1.onmessage = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      controller.postMessage(message, [channel.port2]);
+    });
+  },
+
   // --- COMUNICACIÓN CON LA API ---
+  // Se aborta al salir de la página (pagehide) para no dejar peticiones colgadas
+  pageRequests: null,
+  pendingRequests: 0,
+  requestsCancelled: false,
+
   /**
-   * Realiza una llamada a la API.
+   * Realiza una llamada a la API (ver api-client.js: tiempo límite, reintentos de GET, errores tipados).
    * @param {string} endpoint - Endpoint de la API.
-   * @param {object} options - Opciones de la petición (método, cuerpo, cabeceras).
+   * @param {object} options - Opciones de la petición (método, cuerpo, cabeceras), más
+   *   skipAuth (sin token ni renovación de sesión, p. ej. login) y
+   *   quiet (el que llama muestra su propio mensaje de error).
    * @returns {Promise<object|string>} - Respuesta de la API en formato JSON o texto.
+   * @throws {ApiError} - NetworkError, TimeoutError, AuthError, ValidationError, ServerError.
    */
   async apiCall(endpoint, options = {}) {
-    const token = localStorage.getItem("authToken");
+    const { skipAuth, quiet, authRetried, ...requestOptions } = options;
+    const token = skipAuth ? null : await this.ensureFreshToken();
     const url = `${this.apiBaseUrl}${endpoint}`;
     const config = {
       method: "GET",
+      timeout: this.config.timeouts.apiRequest,
+      signal: this.pageRequests && this.pageRequests.signal,
+      onResponse: (response) => this.trackCachedResponse(response),
+      ...requestOptions,
       headers: {
         "Content-Type": "application/json",
         ...(token && { Authorization: `Bearer ${token}` }),
-        ...options.headers,
+        ...requestOptions.headers,
       },
-      ...options,
     };
 
     if (config.body && typeof config.body !== "string") {
       config.body = JSON.stringify(config.body);
     }
 
+    this.pendingRequests++;
     try {
-      const response = await fetch(url, config);
-      if (!response.ok) {
-        if (response.status === 401) this.logout();
-        const errorText = await response.text();
-        throw new Error(`Error en la API: ${response.status} ${errorText}`);
-      }
-      const contentType = response.headers.get("content-type") || "";
-      return contentType.includes("application/json")
-        ? await response.json()
-        : await response.text();
+      return await ApiClient.request(url, config);
     } catch (error) {
+      if (ApiClient.isAbort(error)) throw error;
+
+      // 401: se renueva la sesión (o se pide iniciarla en el modal) y se repite una vez.
+      // Nunca se cierra la sesión aquí: borraría el turno offline.
+      if (error instanceof ApiClient.AuthError && error.status === 401 && token && !authRetried) {
+        const renewed = token === localStorage.getItem("authToken")
+          ? await this.refreshSession().catch(() => null)
+          : localStorage.getItem("authToken");
+        if (renewed) return this.apiCall(endpoint, { ...options, authRetried: true });
+      }
+
       console.error("Error en apiCall:", error);
-      this.showMessage(
-        "Error de conexión. Revisa la consola para más detalles.",
-        5000
-      );
+      if (!quiet) this.showMessage(this.getApiErrorMessage(error), 5000);
       throw error;
+    } finally {
+      this.pendingRequests--;
+    }
+  },
+
+  /**
+   * Mensaje para el usuario según el tipo de error del API.
+   */
+  getApiErrorMessage(error) {
+    const detail = error && error.body && error.body.message;
+
+    if (error instanceof ApiClient.NetworkError) {
+      return error.status === 503
+        ? "Sin conexión: estos datos no están guardados en el dispositivo."
+        : "Sin conexión con el servidor. Revisa tu internet.";
+    }
+    if (error instanceof ApiClient.TimeoutError) {
+      return "El servidor tardó demasiado en responder. Intenta de nuevo.";
     }
+    if (error instanceof ApiClient.AuthError) {
+      return error.status === 401
+        ? "Tu sesión expiró. Inicia sesión de nuevo."
+        : "No tienes permiso para realizar esta acción.";
+    }
+    if (error instanceof ApiClient.ValidationError) {
+      const fieldMessages = Object.values(error.fields).filter((value) => typeof value === "string");
+      return detail || fieldMessages[0] || "Revisa los datos enviados.";
+    }
+    if (error instanceof ApiClient.ServerError) {
+      return "El servidor tuvo un problema. Intenta más tarde.";
+    }
+    if (error && error.status === 404) return "No se encontró lo que buscabas en el servidor.";
+    if (error && error.status === 409) return detail || "Hubo un cambio en el servidor. Recarga la página.";
+    return "Ocurrió un error inesperado. Intenta de nuevo.";
+  },
+
+  /**
+   * Cancela las peticiones en curso al salir de la página. Si la página vuelve
+   * desde el bfcache con peticiones canceladas, se recarga para no mostrar datos a medias.
+   */
+  setupRequestCancellation() {
+    this.pageRequests = new AbortController();
+
+    window.addEventListener("pagehide", () => {
+      if (this.pendingRequests > 0) this.requestsCancelled = true;
+      this.pageRequests.abort();
+    });
+
+    window.addEventListener("pageshow", (event) => {
+      if (!event.persisted) return;
+      if (this.requestsCancelled) {
+        window.location.reload();
+        return;
+      }
+      this.pageRequests = new AbortController();
+    });
+  },
+
+  /**
+   * Las respuestas servidas desde la cache traen X-CC-Fetched-At y el motivo en
+   * X-CC-Cache-Reason ("offline" o "slow"); se recuerda la más vieja para avisar
+   * desde cuándo son los datos.
+   */
+  trackCachedResponse(response) {
+    const fetchedAt = response.headers.get("X-CC-Fetched-At");
+    if (!fetchedAt) return;
+
+    const date = new Date(fetchedAt);
+    const offline = response.headers.get("X-CC-Cache-Reason") !== "slow";
+    if (this.staleDataAt && date >= this.staleDataAt && (this.staleDataOffline || !offline)) return;
+
+    if (!this.staleDataAt || date < this.staleDataAt) this.staleDataAt = date;
+    if (offline) this.staleDataOffline = true;
+    this.renderConnectionBanner();
   },
 
   // --- LÓGICA DE SINCRONIZACIÓN (OFFLINE-FIRST) ---
+  shareSessionWithServiceWorker(token, user) {
+    Promise.all([
+      IDB.setMeta("authToken", token),
+      IDB.setMeta(SyncQueue.USER_META_KEY, user && user.id != null ? String(user.id) : null),
+    ]).catch(() => {
+      /* No crítico */
+    });
+  },
+
+  /**
+   * Prepara la cola de sincronización: migra la cola antigua de localStorage,
+   * comparte el token con el Service Worker y escucha el progreso del reenvío.
+   */
+  setupSyncQueue() {
+    this.migrateLegacySyncQueue();
+
+    // Sesiones iniciadas antes de que el token (y el usuario) se guardaran en IndexedDB
+    const token = localStorage.getItem("authToken");
+    if (token) this.shareSessionWithServiceWorker(token, this.currentUser);
+
+    SyncQueue.subscribe((event) => this.handleSyncEvent(event));
+    this.updateSyncBadge();
+  },
+
+  /**
+   * Mueve a IndexedDB las acciones que quedaron en localStorage["syncQueue"].
+   */
+  async migrateLegacySyncQueue() {
+    const legacy = JSON.parse(localStorage.getItem("syncQueue") || "[]");
+    if (legacy.length === 0) return;
+
+    try {
+      for (const action of legacy) {
+        await SyncQueue.enqueue(action);
+      }
+      localStorage.removeItem("syncQueue");
+    } catch (error) {
+      console.error("Error al migrar la cola de sincronización:", error);
+    }
+  },
+
+  /**
+   * Muestra al usuario el progreso del reenvío, venga de esta pestaña o del Service Worker.
+   * @param {object} event - Evento emitido por SyncQueue.
+   */
+  handleSyncEvent(event) {
+    this.updateSyncBadge();
+    NotificationStore.recordSyncEvent(event).catch(() => {
+      /* No crítico */
+    });
+    if (window.location.pathname.endsWith("Sincronizacion.html")) this.loadSyncCenter();
+
+    if (event.type === "start") {
+      this.showMessage("Sincronizando acciones pendientes...", 3000);
+    }
+
+    // Cambios de perfil en cola: el aviso de pendientes y, si el servidor los rechaza, deshacerlos
+    if (event.type === "dead-letter" && ["profile-update", "avatar-upload"].includes(event.action.type)) {
+      this.revertQueuedProfileChange(event.action);
+    }
+    // La foto en cola ya se subió: cambiar la vista previa (data:) por la URL del servidor
+    if (event.type === "progress" && event.ok && event.actionType === "avatar-upload") {
+      this.refreshCurrentUser();
+    }
+    if (["queued", "removed", "done"].includes(event.type)) this.renderProfilePending();
+
+    // Si el conflicto es del reporte abierto, mostrar las opciones de resolución
+    const openReportId = new URLSearchParams(window.location.search).get("id");
+    if (event.type === "conflict" && openReportId &&
+      SyncQueue.getReportId(event.action) === openReportId) {
+      this.loadSyncConflicts(openReportId);
+    }
+
+    this.updateQueuedEvidenceProgress(event);
+
+    // Los cambios pendientes del reporte abierto aparecen en su historial
+    // (sin redibujar mientras el usuario edita una nota)
+    const history = document.getElementById("status-history");
+    if (openReportId && history && ["queued", "removed", "done"].includes(event.type) &&
+      !history.querySelector("[data-note-edit-form]")) {
+      this.loadStatusHistory(openReportId);
+    }
+
+    if (event.type === "done") {
+      if (event.authRequired) {
+        // Con la sesión renovada se reenvía la cola; si el usuario lo pospone, queda pendiente
+        this.refreshSession()
+          .then(() => this.processSyncQueue())
+          .catch(() => {
+            this.showMessage(
+              "Tu sesión expiró. Inicia sesión para sincronizar las acciones pendientes.",
+              5000
+            );
+          });
+      } else if (event.conflicts > 0) {
+        this.showMessage(
+          `${event.conflicts} cambio(s) chocan con cambios del servidor. Revísalos en el reporte.`,
+          5000
+        );
+      } else if (event.deadLettered > 0) {
+        this.showMessage(
+          `El servidor rechazó ${event.deadLettered} acción(es). No se reintentarán.`,
+          5000
+        );
+      } else if (event.remaining > 0) {
+        this.showMessage(
+          "Algunas acciones no se pudieron sincronizar. Se intentará más tarde.",
+          4000
+        );
+      } else {
+        this.showMessage("Sincronización completada.");
+      }
+    }
+  },
+
   /**
    * Guarda una acción en la cola de sincronización para ejecutarla cuando haya conexión.
-   * @param {object} action - La acción a sincronizar (ej. { type: 'status-change', ... }).
+   * @param {object} action - La acción a sincronizar (ej. { type, reportId, url, method, body }).
    */
-  enqueueSyncAction(action) {
-    const queue = JSON.parse(localStorage.getItem("syncQueue") || "[]");
-    queue.push({ id: Date.now(), ...action });
-    localStorage.setItem("syncQueue", JSON.stringify(queue));
+  async enqueueSyncAction(action) {
+    try {
+      await SyncQueue.enqueue(action);
+    } catch (error) {
+      console.error("Error al guardar la acción offline:", error);
+      this.showMessage("No se pudo guardar la acción offline.", 4000);
+      throw error;
+    }
     this.showMessage("Acción guardada para sincronizar cuando haya conexión.");
     this.registerBackgroundSync();
   },
 
+  /**
+   * El navegador dice estar en línea pero la petición no llegó (503 offline del Service Worker,
+   * portal cautivo, tiempo agotado): la acción se guarda en la cola en vez de perderse.
+   */
+  isConnectionLost(error) {
+    return error instanceof ApiClient.NetworkError || error instanceof ApiClient.TimeoutError;
+  },
+
+  /**
+   * Envía la acción si hay conexión; sin ella (o si se pierde en el camino) la guarda en la cola.
+   * Los demás errores del API se lanzan.
+   * @param {object} action - Acción de la cola ({ type, url, method, body, ... }).
+   * @param {string} sentMessage - Aviso cuando el servidor la recibió.
+   */
+  async sendOrQueue(action, sentMessage) {
+    if (navigator.onLine) {
+      try {
+        await this.apiCall(action.url, { method: action.method, body: action.body, quiet: true });
+        this.showMessage(sentMessage);
+        return;
+      } catch (error) {
+        if (!this.isConnectionLost(error)) throw error;
+      }
+    }
+    await this.enqueueSyncAction(action);
+  },
+
+  /**
+   * Devuelve las acciones pendientes de sincronizar.
+   * @returns {Promise<object[]>}
+   */
+  getSyncQueue() {
+    return SyncQueue.getAll();
+  },
+
   /**
    * Registra un evento de sincronización en segundo plano con el Service Worker.
    */
@@ -195,7 +790,7 @@ window.App = {
     if ("serviceWorker" in navigator && "SyncManager" in window) {
       navigator.serviceWorker.ready
         .then((reg) => {
-          return reg.sync.register("sync-report-actions").catch(() => {
+          return reg.sync.register(SyncQueue.TAG).catch(() => {
             /* No crítico */
           });
         })
@@ -206,87 +801,458 @@ window.App = {
   },
 
   /**
-   * Procesa la cola de sincronización, enviando las acciones pendientes a la API.
+   * Pide el reenvío de la cola. Lo hace el Service Worker si controla la página;
+   * si no, la propia página reenvía desde IndexedDB.
+   * @param {object} [options] - { networkRestored } true al volver la conexión.
    */
-  async processSyncQueue() {
-    const queue = JSON.parse(localStorage.getItem("syncQueue") || "[]");
-    if (queue.length === 0) return;
-
-    this.showMessage("Sincronizando acciones pendientes...", 3000);
-    const failedActions = [];
+  async processSyncQueue({ networkRestored = false } = {}) {
+    const controller =
+      "serviceWorker" in navigator ? navigator.serviceWorker.controller : null;
 
-    for (const action of queue) {
-      try {
-        const url = `${this.apiBaseUrl}${action.url}`;
-        const config = {
-          method: action.method || "POST",
-          headers: { "Content-Type": "application/json" },
-        };
-        const token = localStorage.getItem("authToken");
-        if (token) config.headers["Authorization"] = `Bearer ${token}`;
-        if (action.body) config.body = JSON.stringify(action.body);
-
-        const response = await fetch(url, config);
-        if (!response.ok)
-          throw new Error(
-            `Falló la sincronización para la acción ${action.id}`
-          );
-      } catch (error) {
-        console.error("Error al sincronizar la acción:", action, error);
-        failedActions.push(action);
-      }
+    if (controller) {
+      controller.postMessage({ type: "REPLAY_SYNC_QUEUE", networkRestored });
+      return;
     }
 
-    // Actualiza la cola solo con las acciones que fallaron
-    localStorage.setItem("syncQueue", JSON.stringify(failedActions));
-    if (failedActions.length === 0) {
-      this.showMessage("Sincronización completada.");
-    } else {
-      this.showMessage(
-        "Algunas acciones no se pudieron sincronizar. Se intentará más tarde.",
-        4000
-      );
+    try {
+      await SyncQueue.replay({ apiBase: this.apiBaseUrl, networkRestored });
+    } catch (error) {
+      console.error("Error al procesar la cola de sincronización:", error);
     }
   },
 
-  // --- MANEJADORES DE EVENTOS Y LÓGICA DE LA UI ---
   /**
-   * Configura los listeners de eventos globales (formularios, clics, etc.).
+   * Actualiza el contador de acciones pendientes en el enlace "Sincronización" del menú.
    */
-  setupEventListeners() {
-    document.addEventListener("submit", (e) => {
-      const form = e.target;
-      if (form.id === "login-form") this.handleLoginSubmit(e);
-      if (form.id === "register-form") this.handleRegisterSubmit(e);
-      if (form.id === "profile-form") this.handleProfileSubmit(e);
-      if (form.id === "note-form") this.handleNoteSubmit(e);
-    });
-
-    document.addEventListener("click", (e) => {
-      const btn = e.target.closest("#change-status-button");
-      if (btn) {
-        this.handleStatusChange();
-      }
+  async updateSyncBadge() {
+    const badges = document.querySelectorAll("[data-sync-badge]");
+    if (badges.length === 0) return;
 
-      if (e.target.matches("[data-logout]")) {
-        e.preventDefault();
-        this.logout();
-      }
+    const count = await SyncQueue.count().catch(() => 0);
+    badges.forEach((badge) => {
+      badge.textContent = count;
+      badge.hidden = count === 0;
     });
   },
 
-  checkAuthStatus() {
-    const token = localStorage.getItem("authToken");
-    const path = window.location.pathname;
+  // --- TURNO OFFLINE ---
+  // Mismos valores que OfflinePrefetch (offline-prefetch.js, solo en el Service Worker)
+  offlineShiftTag: "refresh-open-reports",
+  offlineShiftInterval: 12 * 60 * 60 * 1000,
 
-    // Si NO hay token → enviarlo al login
-    if (!token && !path.includes("Login.html") && !path.includes("RegistrarUsuario.html")) {
-      window.location.href = "Login.html";
-      return false;
+  /**
+   * Tarjeta "Turno offline" de Sincronizacion.html.
+   */
+  async setupOfflineShift() {
+    const download = document.getElementById("offline-download");
+    if (!download) return;
+
+    if (!this.isFeatureEnabled("offlineShift")) {
+      document.getElementById("offline-shift").hidden = true;
+      return;
     }
 
-    // Si YA hay token → evitar ir a login
-    if (token && (path.includes("Login.html") || path.includes("RegistrarUsuario.html"))) {
+    download.addEventListener("click", () => this.downloadForOffline());
+
+    if ("serviceWorker" in navigator) {
+      navigator.serviceWorker.addEventListener("message", (event) => {
+        if (event.data && event.data.type === "OFFLINE_SNAPSHOT") this.handleOfflineSnapshotEvent(event.data);
+      });
+    }
+
+    this.renderOfflineSnapshot();
+
+    // Periodic Background Sync: solo algunos navegadores y con la app instalada
+    const registration = "serviceWorker" in navigator ? await navigator.serviceWorker.ready : null;
+    if (registration && "periodicSync" in registration) {
+      const auto = document.getElementById("offline-auto");
+      const tags = await registration.periodicSync.getTags().catch(() => []);
+      auto.checked = tags.includes(this.offlineShiftTag);
+      auto.addEventListener("change", () => this.toggleOfflineAutoRefresh(auto));
+      document.getElementById("offline-auto-label").hidden = false;
+    }
+  },
+
+  /**
+   * Lo que el Service Worker debe descargar: las URLs de lista que usa Home
+   * y los estados abiertos, dentro del alcance del rol.
+   */
+  async saveOfflineShiftConfig() {
+    const defaults = { ...this.reportQueryDefaults };
+    await IDB.setMeta("offlineShift", {
+      listPaths: [
+        this.buildReportsEndpoint(defaults),
+        this.buildReportsEndpoint({ ...defaults, pageSize: this.mapMaxReports }),
+      ],
+      openStates: this.getOpenStatusNames(),
+      tipos: this.getServiceScope(),
+    });
+  },
+
+  async downloadForOffline() {
+    if (!navigator.onLine) {
+      this.showMessage("Necesitas conexión para descargar los reportes.");
+      return;
+    }
+    if (!navigator.serviceWorker || !navigator.serviceWorker.controller) {
+      this.showMessage("La descarga offline no está disponible todavía. Recarga la página.");
+      return;
+    }
+
+    try {
+      await this.saveOfflineShiftConfig();
+    } catch (error) {
+      this.showMessage("No se pudo preparar la descarga.");
+      return;
+    }
+
+    navigator.serviceWorker.controller.postMessage({ type: "PREFETCH_OPEN_REPORTS" });
+  },
+
+  async toggleOfflineAutoRefresh(checkbox) {
+    const registration = await navigator.serviceWorker.ready;
+
+    if (!checkbox.checked) {
+      await registration.periodicSync.unregister(this.offlineShiftTag).catch(() => {
+        /* No crítico */
+      });
+      return;
+    }
+
+    try {
+      const permission = await navigator.permissions.query({ name: "periodic-background-sync" });
+      if (permission.state !== "granted") throw new Error("Permiso denegado");
+
+      await this.saveOfflineShiftConfig();
+      await registration.periodicSync.register(this.offlineShiftTag, {
+        minInterval: this.offlineShiftInterval,
+      });
+      this.showMessage("Los reportes se actualizarán automáticamente ✔");
+    } catch (error) {
+      checkbox.checked = false;
+      this.showMessage(
+        "El navegador no permite actualizar en segundo plano. Instala la app o usa el botón de descarga.",
+        5000
+      );
+    }
+  },
+
+  handleOfflineSnapshotEvent(event) {
+    const download = document.getElementById("offline-download");
+    const progress = document.getElementById("offline-progress");
+
+    if (event.status === "start") {
+      if (download) download.disabled = true;
+      if (progress) progress.textContent = "Descargando reportes abiertos…";
+    } else if (event.status === "progress") {
+      if (progress) progress.textContent = `Descargando reportes abiertos… ${event.done} de ${event.total}`;
+    } else {
+      if (download) download.disabled = false;
+      if (progress) progress.textContent = "";
+
+      if (event.status === "done") {
+        const failed = event.snapshot.failed;
+        this.showMessage(
+          failed > 0
+            ? `Descarga terminada. ${failed} reporte(s) no se pudieron descargar.`
+            : "Reportes listos para trabajar sin conexión ✔",
+          4000
+        );
+      } else {
+        this.showMessage(`No se pudo descargar: ${event.error}`, 4000);
+      }
+      this.renderOfflineSnapshot();
+    }
+  },
+
+  /**
+   * Última actualización y espacio usado por el snapshot (y por todo el sitio).
+   */
+  async renderOfflineSnapshot() {
+    const snapshot = await IDB.getMeta("offlineSnapshot").catch(() => undefined);
+
+    this.setElementText(
+      "offline-refreshed",
+      snapshot ? new Date(snapshot.refreshedAt).toLocaleString() : "Nunca"
+    );
+    this.setElementText("offline-count", snapshot ? String(snapshot.reportCount) : "0");
+
+    let usage = snapshot ? this.formatBytes(snapshot.bytes) : "—";
+    if (navigator.storage && navigator.storage.estimate) {
+      const estimate = await navigator.storage.estimate().catch(() => null);
+      if (estimate && estimate.quota) {
+        usage += ` (sitio: ${this.formatBytes(estimate.usage)} de ${this.formatBytes(estimate.quota)})`;
+      }
+    }
+    this.setElementText("offline-bytes", usage);
+  },
+
+  /**
+   * Al cerrar sesión: la descarga pertenece al alcance del usuario anterior.
+   */
+  clearOfflineShift() {
+    const tasks = [IDB.deleteMeta("offlineShift"), IDB.deleteMeta("offlineSnapshot")];
+
+    if ("serviceWorker" in navigator) {
+      tasks.push(navigator.serviceWorker.getRegistration().then((registration) =>
+        registration && "periodicSync" in registration &&
+        registration.periodicSync.unregister(this.offlineShiftTag)
+      ));
+    }
+
+    return Promise.all(tasks).catch(() => {
+      /* No crítico */
+    });
+  },
+
+  /**
+   * Descripción legible de una acción de la cola.
+   */
+  describeSyncAction(action) {
+    if (action.type === "status-change") {
+      return `Cambiar estado a "${action.body?.estado || "-"}"`;
+    }
+    if (action.type === "evidence-upload") {
+      return `Subir evidencia (${action.multipart?.files?.[0]?.filename || "foto"})`;
+    }
+    if (action.type === "note-create") return "Agregar nota interna";
+    if (action.type === "note-update") return "Editar nota interna";
+    if (action.type === "note-delete") return "Eliminar nota interna";
+    if (action.type === "profile-update") return "Actualizar mi perfil";
+    if (action.type === "avatar-upload") return "Cambiar foto de perfil";
+    return `${action.method || "POST"} ${action.url}`;
+  },
+
+  // --- CENTRO DE SINCRONIZACIÓN ---
+  /**
+   * Lista las acciones pendientes y las rechazadas en Sincronizacion.html.
+   */
+  async loadSyncCenter() {
+    const pendingBody = document.getElementById("sync-pending-body");
+    const deadLetterBody = document.getElementById("sync-dead-letter-body");
+    if (!pendingBody || !deadLetterBody) return;
+
+    let pending = [];
+    let deadLetters = [];
+    try {
+      [pending, deadLetters] = await Promise.all([
+        SyncQueue.getAll(),
+        SyncQueue.getDeadLetters(),
+      ]);
+    } catch (error) {
+      console.error("Error al leer la cola de sincronización:", error);
+    }
+
+    const retryAll = document.getElementById("sync-retry-all");
+    if (retryAll) retryAll.disabled = pending.length === 0;
+
+    pendingBody.innerHTML = pending.length
+      ? pending.map((action) => this.renderSyncRow(action)).join("")
+      : `<tr><td class="reports-table__cell" colspan="6">No hay acciones pendientes.</td></tr>`;
+
+    deadLetterBody.innerHTML = deadLetters.length
+      ? deadLetters.map((action) => this.renderDeadLetterRow(action)).join("")
+      : `<tr><td class="reports-table__cell" colspan="5">No hay acciones rechazadas.</td></tr>`;
+  },
+
+  renderSyncReportCell(action) {
+    const reportId = SyncQueue.getReportId(action);
+    return reportId
+      ? `<a href="DetalleReporte.html?id=${encodeURIComponent(reportId)}">#${this.escapeHtml(reportId)}</a>`
+      : "-";
+  },
+
+  renderSyncRow(action) {
+    const id = this.escapeHtml(action.id);
+    let error = this.escapeHtml(action.lastError || "-");
+    if (action.status === "conflict") {
+      error = "Conflicto con el servidor";
+    } else if (action.nextAttemptAt > Date.now()) {
+      error += `<br><span class="sync-page__hint">Próximo intento: ${new Date(action.nextAttemptAt).toLocaleTimeString()}</span>`;
+    }
+
+    // Los conflictos se resuelven desde el reporte, no se reintentan a ciegas
+    const retryButton = action.status === "conflict"
+      ? `<a class="button button--secondary" href="DetalleReporte.html?id=${encodeURIComponent(action.reportId)}">Resolver</a>`
+      : `<button class="button button--secondary" data-sync-retry="${id}">Reintentar</button>`;
+
+    return `
+      <tr class="reports-table__body-row">
+        <td class="reports-table__cell reports-table__cell--link">${this.renderSyncReportCell(action)}</td>
+        <td class="reports-table__cell">${this.escapeHtml(this.describeSyncAction(action))}</td>
+        <td class="reports-table__cell">${new Date(action.createdAt).toLocaleString()}</td>
+        <td class="reports-table__cell">${action.attempts || 0}</td>
+        <td class="reports-table__cell sync-page__error">${error}</td>
+        <td class="reports-table__cell">
+          <div class="flex gap-2">
+            ${retryButton}
+            <button class="button button--secondary" data-sync-cancel="${id}">Cancelar</button>
+          </div>
+        </td>
+      </tr>
+    `;
+  },
+
+  renderDeadLetterRow(action) {
+    const id = this.escapeHtml(action.id);
+    return `
+      <tr class="reports-table__body-row">
+        <td class="reports-table__cell reports-table__cell--link">${this.renderSyncReportCell(action)}</td>
+        <td class="reports-table__cell">${this.escapeHtml(this.describeSyncAction(action))}</td>
+        <td class="reports-table__cell">${new Date(action.failedAt).toLocaleString()}</td>
+        <td class="reports-table__cell sync-page__error">${this.escapeHtml(action.lastError || "-")}</td>
+        <td class="reports-table__cell">
+          <div class="flex gap-2">
+            <button class="button button--secondary" data-dead-letter-retry="${id}">Reintentar</button>
+            <button class="button button--secondary" data-dead-letter-discard="${id}">Descartar</button>
+          </div>
+        </td>
+      </tr>
+    `;
+  },
+
+  /**
+   * Atiende los botones del centro de sincronización.
+   */
+  async handleSyncCenterClick(target) {
+    try {
+      if (target.id === "sync-retry-all") {
+        const pending = await SyncQueue.getAll();
+        for (const action of pending) {
+          if (action.status !== "conflict") await SyncQueue.retryNow(action.id);
+        }
+      } else if (target.dataset.syncRetry) {
+        await SyncQueue.retryNow(target.dataset.syncRetry);
+      } else if (target.dataset.syncCancel) {
+        if (!confirm("¿Cancelar esta acción? No se enviará al servidor.")) return;
+        await SyncQueue.remove(target.dataset.syncCancel);
+        return;
+      } else if (target.dataset.deadLetterRetry) {
+        await SyncQueue.requeueDeadLetter(target.dataset.deadLetterRetry);
+      } else if (target.dataset.deadLetterDiscard) {
+        await SyncQueue.discardDeadLetter(target.dataset.deadLetterDiscard);
+        return;
+      }
+    } catch (error) {
+      console.error("Error en el centro de sincronización:", error);
+      this.showMessage("No se pudo actualizar la cola de sincronización.");
+      return;
+    }
+
+    if (navigator.onLine) {
+      this.processSyncQueue();
+    } else {
+      this.showMessage("Sin conexión: se enviará cuando vuelva el internet.");
+      this.registerBackgroundSync();
+    }
+  },
+
+  // --- MANEJADORES DE EVENTOS Y LÓGICA DE LA UI ---
+  /**
+   * Configura los listeners de eventos globales (formularios, clics, etc.).
+   */
+  setupEventListeners() {
+    document.addEventListener("submit", (e) => {
+      const form = e.target;
+      if (form.id === "login-form") this.handleLoginSubmit(e);
+      if (form.id === "register-form") this.handleRegisterSubmit(e);
+      if (form.id === "forgot-password-form") this.handleForgotPasswordSubmit(e);
+      if (form.id === "reset-password-form") this.handleResetPasswordSubmit(e);
+      if (form.id === "profile-form") this.handleProfileSubmit(e);
+      if (form.id === "password-form") this.handlePasswordChangeSubmit(e);
+      if (form.id === "note-form") this.handleNoteSubmit(e);
+      if (form.matches("[data-note-edit-form]")) this.handleNoteEditSubmit(e);
+      if (form.id === "status-comment-form") this.handleStatusCommentSubmit(e);
+    });
+
+    document.addEventListener("change", (e) => {
+      if (e.target.matches("#evidence-camera-input, #evidence-file-input")) {
+        this.handleEvidenceFiles(e.target.files);
+        e.target.value = "";
+      }
+      if (e.target.matches("[name='push-type'], [name='push-event']")) {
+        this.savePushPreferences();
+      }
+      if (e.target.matches("#avatar-input")) {
+        this.openAvatarCropper(e.target.files[0]);
+        e.target.value = "";
+      }
+    });
+
+    document.addEventListener("click", (e) => {
+      const btn = e.target.closest("#change-status-button");
+      if (btn) {
+        this.toggleStatusMenu();
+      } else if (!e.target.closest("#change-status-menu")) {
+        this.closeStatusMenu();
+      }
+
+      const statusOption = e.target.closest("[data-next-status]");
+      if (statusOption) {
+        this.handleStatusOption(statusOption.dataset.nextStatus);
+      }
+
+      const notification = e.target.closest("[data-notification-id]");
+      if (notification) {
+        e.preventDefault();
+        this.openNotification(notification);
+      }
+
+      if (e.target.closest("#push-toggle")) this.togglePushSubscription();
+
+      if (e.target.closest("#notifications-mark-all")) {
+        NotificationStore.markAllRead().catch((error) =>
+          console.error("Error al marcar notificaciones:", error)
+        );
+      }
+
+      const syncBtn = e.target.closest(
+        "#sync-retry-all, [data-sync-retry], [data-sync-cancel], [data-dead-letter-retry], [data-dead-letter-discard]"
+      );
+      if (syncBtn) {
+        this.handleSyncCenterClick(syncBtn);
+      }
+
+      const evidenceBtn = e.target.closest("[data-evidence-index]");
+      if (evidenceBtn) this.openLightbox(Number(evidenceBtn.dataset.evidenceIndex));
+
+      const noteEditBtn = e.target.closest("[data-note-edit]");
+      if (noteEditBtn) this.startNoteEdit(noteEditBtn.dataset.noteEdit);
+
+      const noteDeleteBtn = e.target.closest("[data-note-delete]");
+      if (noteDeleteBtn) this.handleNoteDelete(noteDeleteBtn.dataset.noteDelete);
+
+      if (e.target.closest("[data-note-cancel]")) {
+        this.loadStatusHistory(new URLSearchParams(window.location.search).get("id"));
+      }
+
+      const conflictBtn = e.target.closest("[data-conflict-action]");
+      if (conflictBtn) {
+        this.handleConflictResolution(
+          conflictBtn.dataset.conflictId,
+          conflictBtn.dataset.conflictAction
+        );
+      }
+
+      if (e.target.matches("[data-logout]")) {
+        e.preventDefault();
+        this.logout();
+      }
+    });
+  },
+
+  checkAuthStatus() {
+    const token = localStorage.getItem("authToken");
+    const path = window.location.pathname;
+
+    // Si NO hay token → enviarlo al login
+    if (!token && !this.isPublicPage()) {
+      window.location.href = "Login.html";
+      return false;
+    }
+
+    // Si YA hay token → evitar ir a login
+    if (token && (path.includes("Login.html") || path.includes("RegistrarUsuario.html"))) {
       window.location.href = "Home.html";
       return false;
     }
@@ -294,16 +1260,39 @@ window.App = {
     return true;
   },
 
+  // Páginas que se pueden abrir sin sesión
+  publicPages: ["Login.html", "RegistrarUsuario.html", "RecuperarContrasena.html", "RestablecerContrasena.html"],
+
+  isPublicPage() {
+    const path = window.location.pathname;
+    return this.publicPages.some((page) => path.includes(page));
+  },
+
   /**
    * Configura la lógica específica para la página actual.
    */
   setupPageSpecificLogic() {
     this.checkAuthStatus();
     const path = window.location.pathname;
-    if (path.endsWith("Home.html")) this.loadReports();
+    if (path.endsWith("Home.html")) {
+      this.setupReportFilters();
+      this.loadReports();
+      if (this.isFeatureEnabled("liveUpdates")) this.setupLiveUpdates();
+    }
     if (path.endsWith("DetalleReporte.html")) this.loadReportDetails();
-    if (path.endsWith("Perfil.html")) this.loadProfile();
+    this.renderUserAvatar();
+    if (path.endsWith("Perfil.html")) {
+      this.setupProfileForms();
+      this.loadProfile();
+      this.setupPushSettings();
+    }
     if (path.endsWith("Notificaciones.html")) this.loadNotifications();
+    if (path.endsWith("RegistrarUsuario.html")) this.setupRegisterForm();
+    if (path.endsWith("RestablecerContrasena.html")) this.setupPasswordReset();
+    if (path.endsWith("Sincronizacion.html")) {
+      this.loadSyncCenter();
+      this.setupOfflineShift();
+    }
   },
 
   /**
@@ -322,306 +1311,3535 @@ window.App = {
   },
 
   /**
-   * Maneja el envío del formulario de registro.
+   * Maneja el envío del formulario de registro.
+   */
+  async handleRegisterSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const errors = this.formValidators["register-form"]();
+    if (Object.keys(errors).length > 0) return;
+
+    const userData = {
+      name: document.getElementById("name").value.trim(),
+      lastName: document.getElementById("lastName").value.trim(),
+      email: document.getElementById("email").value.trim(),
+      password: document.getElementById("password").value,
+      rol: document.getElementById("rol").value
+    };
+
+    const submit = form.querySelector("[type='submit']");
+    submit.disabled = true;
+    this.showMessage("Creando cuenta...");
+
+    try {
+      const result = await this.registerUser(userData);
+      form.querySelectorAll("input, select").forEach((field) => (field.disabled = true));
+
+      // La API puede devolver la sesión ya iniciada
+      if (result && result.token && result.user && !this.isPendingApproval(result.user)) {
+        this.setAuthData(result.token, result.user, result.refreshToken || null);
+        this.showFormResult("register-result", "¡Cuenta creada e iniciada sesión!", "success");
+        setTimeout(() => (window.location.href = "Home.html"), 1000);
+        return;
+      }
+
+      const user = (result && result.user) || result;
+      this.showFormResult(
+        "register-result",
+        this.isPendingApproval(user)
+          ? "¡Cuenta creada! Un supervisor debe aprobarla antes de que puedas iniciar sesión."
+          : "¡Cuenta creada! Ahora puedes iniciar sesión.",
+        "success"
+      );
+      setTimeout(() => (window.location.href = "Login.html"), 3000);
+    } catch (error) {
+      submit.disabled = false;
+      if (error instanceof ApiClient.ValidationError && FormValidation.showServerErrors(form, error.fields)) return;
+      if (error.status === 409) {
+        FormValidation.setFieldError(form.elements.email, "Ya existe una cuenta con este correo.");
+        form.elements.email.focus();
+        return;
+      }
+      this.showFormResult("register-result", `No se pudo crear la cuenta. ${this.getApiErrorMessage(error)}`, "error");
+    }
+  },
+
+  // Validadores de los formularios de la página, por id del formulario (ver form-validation.js)
+  formValidators: {},
+
+  setupRegisterForm() {
+    const form = document.getElementById("register-form");
+    const password = document.getElementById("password");
+
+    this.formValidators["register-form"] = FormValidation.attach(form, {
+      name: [FormValidation.required()],
+      lastName: [FormValidation.required()],
+      email: [FormValidation.required(), FormValidation.email()],
+      password: [FormValidation.required(), FormValidation.password()],
+      confirmPassword: [FormValidation.required("Confirma la contraseña."), FormValidation.matches("password")],
+      rol: [FormValidation.required("Selecciona un rol."), FormValidation.oneOfOptions()],
+    });
+
+    this.renderPasswordRules("");
+    password.addEventListener("input", () => this.renderPasswordRules(password.value));
+  },
+
+  // --- RECUPERACIÓN DE CONTRASEÑA ---
+  // Token del enlace del correo (se quita de la URL al abrir la página)
+  resetToken: null,
+
+  /**
+   * Lista de reglas de la contraseña, marcando las que ya se cumplen.
+   */
+  renderPasswordRules(password) {
+    const list = document.getElementById("password-rules");
+    if (!list) return;
+    list.innerHTML = FormValidation.PASSWORD_RULES
+      .map((rule) => {
+        const ok = rule.test(password);
+        return `
+          <li class="password-rules__item ${ok ? "password-rules__item--ok" : ""}">
+            <span class="material-symbols-outlined">${ok ? "check_circle" : "radio_button_unchecked"}</span>
+            ${rule.label}
+          </li>`;
+      })
+      .join("");
+  },
+
+  /**
+   * Muestra el resultado de un formulario de cuenta (registro, recuperación).
+   * @param {"success"|"error"} type
+   */
+  showFormResult(id, text, type) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.textContent = text;
+    el.className = `login-form__message login-form__message--${type}`;
+    el.hidden = false;
+  },
+
+  async handleForgotPasswordSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const submit = form.querySelector("[type='submit']");
+    submit.disabled = true;
+
+    try {
+      await this.apiCall("/auth/forgot-password", {
+        method: "POST",
+        body: { email: document.getElementById("email").value.trim() },
+        skipAuth: true,
+        quiet: true,
+      });
+      // La respuesta es la misma exista o no la cuenta
+      this.showFormResult(
+        "recovery-result",
+        "Si el correo está registrado, te enviamos un enlace para crear una contraseña nueva. Revisa también la carpeta de spam.",
+        "success"
+      );
+    } catch (error) {
+      this.showFormResult("recovery-result", this.getApiErrorMessage(error), "error");
+    } finally {
+      submit.disabled = false;
+    }
+  },
+
+  /**
+   * Lee el token del enlace y muestra las reglas de la contraseña mientras se escribe.
+   */
+  setupPasswordReset() {
+    const form = document.getElementById("reset-password-form");
+    const params = new URLSearchParams(window.location.search);
+    this.resetToken = params.get("token");
+
+    if (!this.resetToken) {
+      this.showFormResult("reset-result", "El enlace no es válido. Pide uno nuevo.", "error");
+      form.querySelectorAll("input, button").forEach((control) => (control.disabled = true));
+      return;
+    }
+    // Que el token no quede en el historial del navegador
+    window.history.replaceState(null, "", window.location.pathname);
+
+    const password = document.getElementById("password");
+    this.formValidators["reset-password-form"] = FormValidation.attach(form, {
+      password: [FormValidation.required(), FormValidation.password()],
+      confirmPassword: [FormValidation.required("Confirma la contraseña."), FormValidation.matches("password")],
+    });
+
+    this.renderPasswordRules("");
+    password.addEventListener("input", () => this.renderPasswordRules(password.value));
+  },
+
+  async handleResetPasswordSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const errors = this.formValidators["reset-password-form"]();
+    if (Object.keys(errors).length > 0) return;
+    const password = document.getElementById("password").value;
+
+    const submit = form.querySelector("[type='submit']");
+    submit.disabled = true;
+
+    try {
+      await this.apiCall("/auth/reset-password", {
+        method: "POST",
+        body: { token: this.resetToken, password },
+        skipAuth: true,
+        quiet: true,
+      });
+      form.querySelectorAll("input").forEach((input) => (input.disabled = true));
+      this.showFormResult("reset-result", "Tu contraseña se actualizó. Ya puedes iniciar sesión.", "success");
+      setTimeout(() => (window.location.href = "Login.html"), 2500);
+    } catch (error) {
+      if (error instanceof ApiClient.ValidationError && FormValidation.showServerErrors(form, error.fields)) {
+        submit.disabled = false;
+        return;
+      }
+      // 400: el enlace expiró o ya se usó
+      const message = error instanceof ApiClient.ValidationError && !error.body?.message
+        ? "El enlace expiró o ya se usó. Pide uno nuevo."
+        : this.getApiErrorMessage(error);
+      this.showFormResult("reset-result", message, "error");
+      submit.disabled = false;
+    }
+  },
+
+  // --- CONSULTA DE REPORTES (HOME) ---
+  // La tabla de Home se genera desde esta consulta, que se guarda en la URL
+  // para poder marcar y restaurar una vista filtrada.
+  reportQueryDefaults: {
+    page: 1,
+    pageSize: 10,
+    sort: "createdAt",
+    order: "desc",
+    estado: "",
+    tipo: "",
+    desde: "",
+    hasta: "",
+    q: "",
+    vista: "tabla",
+    // Radio en km para el orden "Cercanos"; vacío = sin límite
+    radio: "",
+  },
+  reportQuery: null,
+  reportsRequestId: 0,
+
+  /**
+   * Lee la consulta desde los parámetros de la URL, con valores por defecto.
+   */
+  readReportQueryFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const query = { ...this.reportQueryDefaults };
+
+    // page y pageSize: enteros desde 1 (?page=0 o ?page=-3 usan el valor por defecto)
+    Object.keys(query).forEach((key) => {
+      const value = params.get(key);
+      if (value === null) return;
+      if (typeof query[key] === "number") {
+        const number = parseInt(value, 10);
+        if (number >= 1) query[key] = number;
+      } else {
+        query[key] = value;
+      }
+    });
+
+    if (!["asc", "desc"].includes(query.order)) query.order = this.reportQueryDefaults.order;
+    if (!["tabla", "mapa"].includes(query.vista) || !this.isFeatureEnabled("map")) {
+      query.vista = this.reportQueryDefaults.vista;
+    }
+    if (query.radio && !(parseFloat(query.radio) > 0)) query.radio = "";
+
+    // Un tipo fuera del alcance del rol (p. ej. un enlace compartido) se ignora
+    const scope = this.getServiceScope();
+    if (scope && query.tipo && !scope.includes(query.tipo)) query.tipo = "";
+
+    return query;
+  },
+
+  /**
+   * Guarda la consulta en la URL (solo los valores distintos al default).
+   * @param {boolean} push - true crea una entrada en el historial del navegador.
+   */
+  writeReportQueryToUrl(push) {
+    const params = new URLSearchParams();
+    Object.entries(this.reportQuery).forEach(([key, value]) => {
+      if (value !== "" && value !== this.reportQueryDefaults[key]) params.set(key, value);
+    });
+
+    const search = params.toString();
+    const url = `${window.location.pathname}${search ? `?${search}` : ""}`;
+    if (push) {
+      history.pushState(null, "", url);
+    } else {
+      history.replaceState(null, "", url);
+    }
+  },
+
+  /**
+   * Endpoint de la API para una consulta. Los parámetros van siempre en el mismo
+   * orden para que el Service Worker guarde una copia por consulta.
+   */
+  buildReportsEndpoint(query) {
+    const scope = this.getServiceScope();
+    const params = new URLSearchParams({
+      page: query.page,
+      limit: query.pageSize,
+      sort: query.sort,
+      order: query.order,
+    });
+    ["estado", "tipo", "desde", "hasta", "q"].forEach((key) => {
+      if (query[key]) params.set(key, query[key]);
+    });
+    // Sin tipo elegido, un inspector pide solo los tipos de su rol
+    if (!query.tipo && scope) params.set("tipo", scope.join(","));
+    return `/Reports?${params.toString()}`;
+  },
+
+  /**
+   * Cambia la consulta y recarga la tabla.
+   * @param {object} changes - Campos de la consulta a cambiar.
+   * @param {object} options - { resetPage } vuelve a la página 1 (por defecto al filtrar).
+   */
+  setReportQuery(changes, { resetPage = true } = {}) {
+    this.reportQuery = { ...this.reportQuery, ...changes };
+    if (resetPage) this.reportQuery.page = 1;
+    this.writeReportQueryToUrl(true);
+    this.loadReports();
+  },
+
+  /**
+   * Conecta los filtros, el orden por columna y la paginación de Home con la consulta.
+   */
+  setupReportFilters() {
+    this.reportQuery = this.readReportQueryFromUrl();
+
+    const searchInput = document.getElementById("search-input");
+    const filterStatusBtn = document.getElementById("filter-status-btn");
+    const filterStatusDropdown = document.getElementById("filter-status-dropdown");
+    const filterType = document.getElementById("filter-type");
+    const filterFrom = document.getElementById("filter-from");
+    const filterTo = document.getElementById("filter-to");
+    const pageSize = document.getElementById("page-size");
+
+    // Opciones del filtro según el flujo de estados
+    filterStatusDropdown.innerHTML = ["Todos", ...this.getStatusNames()]
+      .map((status) => `<div class="filter-dropdown__item">${this.escapeHtml(status)}</div>`)
+      .join("");
+
+    // Tipos de servicio: todos para supervisores; los del rol para inspectores
+    const scope = this.getServiceScope();
+    const types = this.serviceTypes.filter((type) => !scope || scope.includes(type.key));
+
+    filterType.innerHTML = [
+      `<option value="">${scope ? "Mis tipos" : "Todos los tipos"}</option>`,
+      ...types.map(
+        (type) => `<option value="${type.key}">${this.escapeHtml(type.label)}</option>`
+      ),
+    ].join("");
+
+    // Con un solo tipo no hay nada que elegir: se muestra fijo
+    if (scope && types.length === 1) {
+      filterType.hidden = true;
+      this.setElementText("filter-type-locked-label", `Tipo: ${types[0].label}`);
+      document.getElementById("filter-type-locked").hidden = false;
+    }
+
+    // Abrir / cerrar menú
+    filterStatusBtn.addEventListener("click", () => {
+      filterStatusDropdown.style.display =
+        filterStatusDropdown.style.display === "none" ? "block" : "none";
+    });
+
+    // Selección del estado
+    filterStatusDropdown.addEventListener("click", (e) => {
+      const item = e.target.closest(".filter-dropdown__item");
+      if (!item) return;
+      const status = item.innerText.trim();
+      filterStatusDropdown.style.display = "none";
+      this.setReportQuery({ estado: status === "Todos" ? "" : status });
+    });
+
+    // Buscar por texto (espera a que el usuario deje de escribir)
+    let searchTimer = null;
+    searchInput.addEventListener("input", (e) => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => this.setReportQuery({ q: e.target.value.trim() }), 300);
+    });
+
+    filterType.addEventListener("change", (e) => this.setReportQuery({ tipo: e.target.value }));
+    filterFrom.addEventListener("change", (e) => this.setReportQuery({ desde: e.target.value }));
+    filterTo.addEventListener("change", (e) => this.setReportQuery({ hasta: e.target.value }));
+    pageSize.addEventListener("change", (e) =>
+      this.setReportQuery({ pageSize: parseInt(e.target.value, 10) })
+    );
+
+    // Orden "Cercanos": distancia desde la ubicación del dispositivo
+    document.getElementById("sort-nearby").addEventListener("click", () => {
+      this.setReportQuery({ sort: "distancia", order: "asc" });
+    });
+    document.getElementById("filter-radius").addEventListener("change", (e) =>
+      this.setReportQuery({ radio: e.target.value })
+    );
+    document.getElementById("nearby-live").addEventListener("change", (e) => {
+      if (e.target.checked) {
+        this.startPositionWatch();
+      } else {
+        this.stopPositionWatch();
+      }
+    });
+
+    // Orden por columna: un clic alterna ascendente / descendente
+    document.querySelectorAll("[data-sort]").forEach((header) => {
+      header.addEventListener("click", () => {
+        const sort = header.dataset.sort;
+        const order = this.reportQuery.sort === sort && this.reportQuery.order === "asc" ? "desc" : "asc";
+        this.setReportQuery({ sort, order }, { resetPage: false });
+      });
+    });
+
+    document.getElementById("view-toggle").hidden = !this.isFeatureEnabled("map");
+    document.querySelectorAll("[data-report-view]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.setReportQuery({ vista: button.dataset.reportView }, { resetPage: false })
+      );
+    });
+
+    document.getElementById("pagination-controls").addEventListener("click", (e) => {
+      const button = e.target.closest("[data-page]");
+      if (!button || button.disabled) return;
+      this.setReportQuery({ page: parseInt(button.dataset.page, 10) }, { resetPage: false });
+    });
+
+    // Atrás / adelante del navegador restaura la vista
+    window.addEventListener("popstate", () => {
+      this.reportQuery = this.readReportQueryFromUrl();
+      this.loadReports();
+    });
+  },
+
+  /**
+   * Refleja la consulta actual en los controles de filtro.
+   */
+  syncReportFilterControls() {
+    const query = this.reportQuery;
+    this.setElementValue("search-input", query.q);
+    this.setElementValue("filter-type", query.tipo);
+    this.setElementValue("filter-from", query.desde);
+    this.setElementValue("filter-to", query.hasta);
+    this.setElementValue("page-size", String(query.pageSize));
+    this.setElementText("filter-status-label", query.estado || "Estado");
+
+    document.querySelectorAll("[data-sort]").forEach((header) => {
+      const active = header.dataset.sort === query.sort;
+      header.classList.toggle("reports-table__header-cell--sorted", active);
+      header.dataset.order = active ? query.order : "";
+    });
+
+    // Controles del orden "Cercanos"
+    const isNearby = query.sort === "distancia";
+    document.getElementById("sort-nearby").classList.toggle("dashboard-filters__button--active", isNearby);
+    document.getElementById("nearby-controls").hidden = !isNearby;
+    this.setElementValue("filter-radius", query.radio);
+    if (!isNearby && this.positionWatchId !== null) this.stopPositionWatch();
+
+    // Tabla o mapa (el mapa no usa paginación)
+    const isMap = query.vista === "mapa";
+    document.querySelectorAll("[data-report-view]").forEach((button) => {
+      button.classList.toggle("view-toggle__button--active", button.dataset.reportView === query.vista);
+    });
+    ["reports-table-view", "page-size", "pagination-controls"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) element.hidden = isMap;
+    });
+    const map = document.getElementById("reports-map");
+    if (map) map.hidden = !isMap;
+  },
+
+  // --- FUNCIONES DE RENDERIZADO ---
+  async loadReports() {
+    const tableBody = document.getElementById("reports-table-body");
+    if (!tableBody) return;
+
+    if (!this.reportQuery) this.reportQuery = this.readReportQueryFromUrl();
+    this.syncReportFilterControls();
+
+    // Ignorar respuestas de consultas anteriores que lleguen tarde
+    const requestId = ++this.reportsRequestId;
+    const query = { ...this.reportQuery };
+    this.nearbyReports = null;
+    // La nueva carga ya incluye los reportes que esperaban en el aviso "nuevos reportes"
+    this.clearLiveNewReports();
+
+    if (query.vista === "mapa") return this.loadReportsMap(query, requestId);
+    if (query.sort === "distancia") return this.loadNearbyReports(query, requestId);
+
+    try {
+      const response = await this.apiCall(this.buildReportsEndpoint(query));
+      if (requestId !== this.reportsRequestId) return;
+
+      const { reports, total } = this.normalizeReportsResponse(response, query);
+      this.advanceLiveCursor(reports);
+
+      tableBody.innerHTML = "";
+
+      if (reports.length === 0) {
+        tableBody.innerHTML = `<tr><td class="reports-table__cell" colspan="5">No hay reportes que coincidan con los filtros.</td></tr>`;
+      }
+
+      reports.forEach((report) => tableBody.appendChild(this.renderReportRow(report)));
+
+      this.renderPagination(total, query);
+
+    } catch (error) {
+      console.error("Error al cargar reportes:", error);
+      if (requestId !== this.reportsRequestId) return;
+      tableBody.innerHTML = `<tr><td class="reports-table__cell" colspan="5">${this.getLoadErrorText(error, "los reportes")}</td></tr>`;
+      this.renderPagination(0, query);
+    }
+  },
+
+  /**
+   * Acepta la respuesta paginada del API ({ data, total }) o, si el servidor
+   * ignora los parámetros y devuelve todos los reportes, aplica la consulta aquí.
+   * @returns {{reports: object[], total: number}}
+   */
+  normalizeReportsResponse(response, query) {
+    if (Array.isArray(response)) {
+      const filtered = this.filterAndSortReports(response, query);
+      const start = (query.page - 1) * query.pageSize;
+      return { reports: filtered.slice(start, start + query.pageSize), total: filtered.length };
+    }
+
+    // El alcance va en la consulta (tipo=…, ver buildReportsEndpoint): el servidor filtra
+    // y su total ya lo descuenta. Si aun así llegan reportes de otros tipos (un servidor que
+    // ignora tipo), nunca se muestran y tampoco se cuentan, para que el paginador no
+    // prometa filas que no van a aparecer.
+    const items = response.data || response.reports || [];
+    const reports = items.filter((report) => this.isReportInScope(report));
+    const total = Number(response.total ?? items.length) - (items.length - reports.length);
+    const seen = (query.page - 1) * query.pageSize + reports.length;
+    return { reports, total: Math.max(total, seen) };
+  },
+
+  filterAndSortReports(reports, query) {
+    const keyword = query.q.toLowerCase();
+    const from = query.desde ? new Date(`${query.desde}T00:00:00`) : null;
+    const to = query.hasta ? new Date(`${query.hasta}T23:59:59.999`) : null;
+
+    const sortValue = (report) => {
+      if (query.sort === "tipo") return (report.service?.type || "").toLowerCase();
+      if (query.sort === "location") return (report.location || "").toLowerCase();
+      if (query.sort === "estado") return report.estado || "";
+      return report.createdAt ? new Date(report.createdAt).getTime() : 0;
+    };
+
+    return reports
+      .filter((report) => {
+        const tipo = report.service?.type || "";
+        const created = report.createdAt ? new Date(report.createdAt) : null;
+
+        if (!this.isReportInScope(report)) return false;
+        if (query.estado && report.estado !== query.estado) return false;
+        if (query.tipo && this.getServiceTypeKey(tipo) !== query.tipo) return false;
+        if (from && (!created || created < from)) return false;
+        if (to && (!created || created > to)) return false;
+        if (keyword && ![tipo, report.location, report.description]
+          .some((text) => (text || "").toLowerCase().includes(keyword))) return false;
+        return true;
+      })
+      .sort((a, b) => {
+        const [x, y] = [sortValue(a), sortValue(b)];
+        const result = x < y ? -1 : x > y ? 1 : 0;
+        return query.order === "asc" ? result : -result;
+      });
+  },
+
+  /**
+   * @param {object} report
+   * @param {number} [distance] - Distancia en km (orden "Cercanos").
+   */
+  renderReportRow(report, distance) {
+    const tipoServicio = report.service?.type || "Sin servicio";
+
+    const row = document.createElement("tr");
+    row.className = "reports-table__body-row";
+    row.dataset.reportId = report.id;
+
+    row.innerHTML = `
+        <td class="reports-table__cell reports-table__cell--type">
+          <span class="material-symbols-outlined text-blue-500">
+            ${this.getIconForType(tipoServicio)}
+          </span>
+          ${this.escapeHtml(tipoServicio)}
+        </td>
+
+        <td class="reports-table__cell">
+          ${this.escapeHtml(report.location || "")}
+          ${distance !== undefined ? `<span class="reports-table__distance">${this.formatDistance(distance)}</span>` : ""}
+        </td>
+
+        <td class="reports-table__cell">
+          <span class="badge badge--${this.getStatusClass(report.estado)}">
+            ${this.escapeHtml(report.estado)}
+          </span>
+        </td>
+
+        <td class="reports-table__cell">
+          ${report.createdAt ? new Date(report.createdAt).toLocaleDateString() : ""}
+        </td>
+
+        <td class="reports-table__cell reports-table__cell--link">
+          <a href="DetalleReporte.html?id=${encodeURIComponent(report.id)}">Ver Detalles</a>
+        </td>
+      `;
+
+    return row;
+  },
+
+  /**
+   * "Mostrando X-Y de N reportes" y los botones de página.
+   */
+  renderPagination(total, query) {
+    const info = document.getElementById("pagination-info");
+    const controls = document.getElementById("pagination-controls");
+    if (!info || !controls) return;
+
+    const pages = Math.max(1, Math.ceil(total / query.pageSize));
+    const first = total === 0 ? 0 : (query.page - 1) * query.pageSize + 1;
+    const last = Math.min(query.page * query.pageSize, total);
+    info.textContent = `Mostrando ${first}-${last} de ${total} reportes`;
+
+    // Páginas visibles: la primera, la última y dos alrededor de la actual
+    const visible = [...new Set([1, query.page - 1, query.page, query.page + 1, pages])]
+      .filter((page) => page >= 1 && page <= pages)
+      .sort((a, b) => a - b);
+
+    const buttons = [];
+    buttons.push(`<button class="pagination__button" data-page="${query.page - 1}" ${query.page <= 1 ? "disabled" : ""}><span class="material-symbols-outlined">chevron_left</span></button>`);
+    visible.forEach((page, index) => {
+      if (index > 0 && page - visible[index - 1] > 1) {
+        buttons.push(`<span class="pagination__ellipsis">…</span>`);
+      }
+      buttons.push(`<button class="pagination__button${page === query.page ? " pagination__button--active" : ""}" data-page="${page}">${page}</button>`);
+    });
+    buttons.push(`<button class="pagination__button" data-page="${query.page + 1}" ${query.page >= pages ? "disabled" : ""}><span class="material-symbols-outlined">chevron_right</span></button>`);
+
+    controls.innerHTML = buttons.join("");
+  },
+
+  // --- ACTUALIZACIONES EN VIVO (HOME) ---
+  // Canales en orden de preferencia: si uno falla se pasa al siguiente
+  liveUpdateTransports: ["sse", "polling"],
+  liveStreamPath: "/Reports/stream",
+  liveStreamTicketPath: "/Reports/stream/ticket",
+  // Espera antes de reabrir el stream si se corta
+  liveStreamRetryDelay: 5 * 1000,
+  liveUpdateInterval: 30 * 1000,
+  liveTransport: null,
+  liveTransportIndex: 0,
+  // Marca de tiempo (ms) del cambio más reciente visto; base de la consulta delta
+  liveSince: null,
+  liveNewReports: [],
+  fetchingReportChanges: false,
+
+  /**
+   * Mantiene la tabla al día sin recargar. Se pausa con la pestaña oculta
+   * y al volver pide al servidor solo lo que cambió mientras tanto.
+   */
+  setupLiveUpdates() {
+    document.getElementById("live-new-pill").addEventListener("click", () => this.showLiveNewReports());
+
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) {
+        this.stopLiveUpdates();
+      } else {
+        this.fetchReportChanges();
+        this.startLiveUpdates();
+      }
+    });
+
+    window.addEventListener("online", () => this.fetchReportChanges());
+
+    this.startLiveUpdates();
+  },
+
+  startLiveUpdates(index = 0) {
+    if (this.liveTransport || document.hidden) return;
+
+    const name = this.liveUpdateTransports[index];
+    if (!name) return;
+
+    const transport = this.createLiveTransport(name);
+    if (!transport) {
+      this.startLiveUpdates(index + 1);
+      return;
+    }
+
+    this.liveTransport = transport;
+    this.liveTransportIndex = index;
+    transport.start(() => {
+      // El canal no está disponible: probar el siguiente
+      transport.stop();
+      this.liveTransport = null;
+      this.startLiveUpdates(index + 1);
+    });
+  },
+
+  stopLiveUpdates() {
+    if (!this.liveTransport) return;
+    this.liveTransport.stop();
+    this.liveTransport = null;
+  },
+
+  /**
+   * El token cambió (renovación o nuevo inicio de sesión): el canal abierto
+   * se vuelve a conectar con las credenciales nuevas.
+   */
+  restartLiveUpdates() {
+    if (!this.liveTransport) return;
+    this.stopLiveUpdates();
+    this.startLiveUpdates(this.liveTransportIndex);
+  },
+
+  /**
+   * Canales disponibles. Cada uno expone start(onFail) y stop();
+   * para agregar otro (p. ej. WebSocket) basta con sumarlo aquí y a liveUpdateTransports.
+   */
+  createLiveTransport(name) {
+    if (name === "sse") return this.createSseTransport();
+    if (name === "polling") return this.createPollingTransport();
+    return null;
+  },
+
+  /**
+   * Server-Sent Events. EventSource no permite cabeceras y el token no debe ir en la URL
+   * (quedaría en los logs y en el historial): con el token se pide un ticket de un solo
+   * uso y corta duración (POST /Reports/stream/ticket → { ticket }) y el stream se abre
+   * con ?ticket=. Como el ticket no sirve dos veces, cada reconexión pide uno nuevo.
+   */
+  createSseTransport() {
+    if (!("EventSource" in window)) return null;
+
+    let source = null;
+    let connected = false;
+    let stopped = false;
+    let retryTimer = null;
+
+    // Si el stream ya funcionaba, el corte es de la red: se reabre. Si nunca abrió,
+    // el servidor no lo ofrece: se pasa al siguiente canal.
+    const handleFailure = (onFail) => {
+      if (stopped) return;
+      if (!connected) {
+        onFail();
+        return;
+      }
+      retryTimer = setTimeout(() => open(onFail), this.liveStreamRetryDelay);
+    };
+
+    const open = async (onFail) => {
+      let ticket = null;
+      try {
+        const response = await this.apiCall(this.liveStreamTicketPath, { method: "POST", quiet: true });
+        ticket = response && response.ticket;
+      } catch (error) {
+        /* Se trata abajo como un canal no disponible */
+      }
+      if (stopped) return;
+      if (!ticket) {
+        handleFailure(onFail);
+        return;
+      }
+
+      source = new EventSource(
+        `${this.apiBaseUrl}${this.liveStreamPath}?ticket=${encodeURIComponent(ticket)}`
+      );
+
+      ["report-created", "report-updated"].forEach((type) => {
+        source.addEventListener(type, (event) => {
+          try {
+            this.handleLiveEvent({ type, report: JSON.parse(event.data) });
+          } catch (error) {
+            console.error("Evento en vivo inválido:", error);
+          }
+        });
+      });
+
+      source.onopen = () => {
+        // Tras una reconexión, recuperar lo que pasó sin conexión
+        if (connected) this.fetchReportChanges();
+        connected = true;
+      };
+
+      source.onerror = () => {
+        // El navegador reintentaría con el mismo ticket, que ya no sirve: se reabre a mano
+        source.close();
+        handleFailure(onFail);
+      };
+    };
+
+    return {
+      start: (onFail) => open(onFail),
+      stop: () => {
+        stopped = true;
+        clearTimeout(retryTimer);
+        if (source) source.close();
+      },
+    };
+  },
+
+  createPollingTransport() {
+    let timer = null;
+
+    return {
+      start: () => {
+        timer = setInterval(() => this.fetchReportChanges(), this.liveUpdateInterval);
+      },
+      stop: () => clearInterval(timer),
+    };
+  },
+
+  /**
+   * Consulta delta: reportes creados o modificados desde liveSince.
+   */
+  async fetchReportChanges() {
+    if (!navigator.onLine || this.liveSince === null || this.fetchingReportChanges) return;
+    this.fetchingReportChanges = true;
+
+    const since = this.liveSince;
+    const scope = this.getServiceScope();
+    const params = new URLSearchParams({ updatedSince: new Date(since).toISOString(), limit: 100 });
+    if (scope) params.set("tipo", scope.join(","));
+
+    try {
+      // no-store: cada consulta delta es única, no tiene sentido guardarla en cache.
+      // quiet: si el servidor falla no se avisa en cada consulta; se reintenta en la siguiente
+      const response = await this.apiCall(`/Reports?${params.toString()}`, { cache: "no-store", quiet: true });
+      const reports = Array.isArray(response) ? response : response.data || response.reports || [];
+
+      reports
+        .filter((report) => this.getReportChangeTime(report) > since)
+        .forEach((report) => {
+          const created = new Date(report.createdAt || 0).getTime() > since;
+          this.handleLiveEvent({ type: created ? "report-created" : "report-updated", report });
+        });
+    } catch (error) {
+      console.error("Error al consultar cambios de reportes:", error);
+    } finally {
+      this.fetchingReportChanges = false;
+    }
+  },
+
+  getReportChangeTime(report) {
+    return Math.max(
+      new Date(report.updatedAt || 0).getTime(),
+      new Date(report.createdAt || 0).getTime()
+    );
+  },
+
+  advanceLiveCursor(reports) {
+    const newest = reports.reduce((max, report) => Math.max(max, this.getReportChangeTime(report)), 0);
+    // Se prefieren las fechas del servidor; el reloj local solo si aún no hay reportes
+    this.liveSince = this.liveSince === null ? newest || Date.now() : Math.max(this.liveSince, newest);
+  },
+
+  /**
+   * Aplica un evento en vivo: los cambios de estado se actualizan en su fila,
+   * los reportes nuevos esperan en el aviso "N nuevos reportes".
+   */
+  handleLiveEvent({ type, report }) {
+    if (!report || !report.id || !this.isReportInScope(report)) return;
+    this.advanceLiveCursor([report]);
+
+    const row = this.getReportRow(report.id);
+    if (row) {
+      this.updateReportRow(row, report);
+      return;
+    }
+
+    if (type === "report-created") this.queueLiveNewReport(report);
+  },
+
+  getReportRow(reportId) {
+    return document.querySelector(
+      `#reports-table-body [data-report-id="${CSS.escape(String(reportId))}"]`
+    );
+  },
+
+  updateReportRow(row, report) {
+    const badge = row.querySelector(".badge");
+    if (!badge || badge.textContent.trim() === report.estado) return;
+
+    badge.className = `badge badge--${this.getStatusClass(report.estado)}`;
+    badge.textContent = report.estado;
+    this.highlightReportRow(row);
+  },
+
+  highlightReportRow(row) {
+    row.classList.remove("reports-table__body-row--highlight");
+    // Forzar reflow para reiniciar la animación
+    void row.offsetWidth;
+    row.classList.add("reports-table__body-row--highlight");
+  },
+
+  queueLiveNewReport(report) {
+    if (this.liveNewReports.some((pending) => pending.id === report.id)) return;
+    // Solo cuentan los que aparecerían con los filtros actuales
+    if (this.filterAndSortReports([report], this.reportQuery).length === 0) return;
+
+    this.liveNewReports.push(report);
+    this.renderLivePill();
+  },
+
+  renderLivePill() {
+    const pill = document.getElementById("live-new-pill");
+    if (!pill) return;
+
+    const count = this.liveNewReports.length;
+    pill.hidden = count === 0;
+    this.setElementText(
+      "live-new-count",
+      count === 1 ? "1 nuevo reporte" : `${count} nuevos reportes`
+    );
+  },
+
+  clearLiveNewReports() {
+    this.liveNewReports = [];
+    this.renderLivePill();
+  },
+
+  /**
+   * Clic en el aviso: recarga la página actual de la tabla y resalta los reportes nuevos.
+   */
+  async showLiveNewReports() {
+    const ids = this.liveNewReports.map((report) => report.id);
+    await this.loadReports();
+
+    ids.forEach((id) => {
+      const row = this.getReportRow(id);
+      if (row) this.highlightReportRow(row);
+    });
+    document.getElementById("reports-table-view")?.scrollIntoView({ behavior: "smooth", block: "start" });
+  },
+
+  // --- MAPA DE REPORTES (HOME) ---
+  mapTileUrl: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+  mapDefaultCenter: [19.4326, -99.1332],
+  // El mapa y "Cercanos" piden los reportes filtrados de una sola vez, hasta este límite
+  mapMaxReports: 500,
+  // Geocodificador local (dirección → coordenadas); null lo desactiva
+  geocoderUrl: "mocks/geocoder.json",
+  geocoderTable: null,
+  reportsMap: null,
+  reportsMapLayer: null,
+
+  /**
+   * Carga los reportes de la consulta actual y los muestra en el mapa.
+   */
+  async loadReportsMap(query, requestId) {
+    const info = document.getElementById("pagination-info");
+
+    // Leaflet llega desde el CDN: sin conexión y sin copia en cache no hay mapa
+    if (typeof L === "undefined") {
+      if (info) info.textContent = "El mapa no está disponible sin conexión.";
+      return;
+    }
+
+    try {
+      const { reports, total } = await this.fetchAllMatchingReports(query);
+      if (requestId !== this.reportsRequestId) return;
+
+      const located = await this.locateReports(reports);
+      if (requestId !== this.reportsRequestId) return;
+
+      this.renderReportsMap(located);
+      if (info) info.textContent = `${located.length} de ${total} reportes con ubicación en el mapa`;
+
+    } catch (error) {
+      console.error("Error al cargar el mapa de reportes:", error);
+      if (requestId !== this.reportsRequestId) return;
+      if (info) info.textContent = this.getLoadErrorText(error, "los reportes del mapa");
+    }
+  },
+
+  /**
+   * Todos los reportes que cumplen los filtros (primera página de mapMaxReports).
+   * La URL no depende de la ubicación, así que la copia en cache sirve offline.
+   */
+  async fetchAllMatchingReports(query) {
+    const allQuery = {
+      ...query,
+      sort: this.reportQueryDefaults.sort,
+      order: this.reportQueryDefaults.order,
+      page: 1,
+      pageSize: this.mapMaxReports,
+    };
+    const response = await this.apiCall(this.buildReportsEndpoint(allQuery));
+    const result = this.normalizeReportsResponse(response, allQuery);
+    this.advanceLiveCursor(result.reports);
+    return result;
+  },
+
+  /**
+   * Agrega las coordenadas a cada reporte; omite los que no se pueden ubicar.
+   * @returns {Promise<Array<{report: object, coords: number[]}>>}
+   */
+  async locateReports(reports) {
+    const located = [];
+    for (const report of reports) {
+      const coords = this.getReportCoordinates(report) || (await this.geocodeLocation(report.location));
+      if (coords) located.push({ report, coords });
+    }
+    return located;
+  },
+
+  /**
+   * Coordenadas guardadas en el reporte, si las tiene.
+   * @returns {number[]|null} [lat, lng]
+   */
+  getReportCoordinates(report) {
+    const lat = Number(report.latitude ?? report.lat ?? report.coordinates?.lat);
+    const lng = Number(report.longitude ?? report.lng ?? report.coordinates?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (lat === 0 && lng === 0) return null;
+    return [lat, lng];
+  },
+
+  /**
+   * Busca una dirección en el geocodificador local (sustituto de un servicio real).
+   * @returns {Promise<number[]|null>} [lat, lng]
+   */
+  async geocodeLocation(address) {
+    if (!this.geocoderUrl || !address) return null;
+
+    if (!this.geocoderTable) {
+      this.geocoderTable = fetch(this.geocoderUrl)
+        .then((response) => (response.ok ? response.json() : {}))
+        .then((table) => {
+          const normalized = {};
+          Object.entries(table).forEach(([key, coords]) => {
+            normalized[key.trim().toLowerCase()] = coords;
+          });
+          return normalized;
+        })
+        .catch(() => {
+          this.geocoderTable = null;
+          return {};
+        });
+    }
+
+    const table = await this.geocoderTable;
+    const coords = table[address.trim().toLowerCase()];
+    return coords ? [coords.lat, coords.lng] : null;
+  },
+
+  /**
+   * Dibuja los marcadores (agrupados por cercanía) con el color de su estado.
+   */
+  renderReportsMap(located) {
+    if (!this.reportsMap) {
+      this.reportsMap = L.map("reports-map").setView(this.mapDefaultCenter, 12);
+      // crossOrigin permite que el Service Worker lea el tamaño de cada mosaico
+      L.tileLayer(this.mapTileUrl, {
+        maxZoom: 19,
+        crossOrigin: true,
+        attribution: "&copy; OpenStreetMap",
+      }).addTo(this.reportsMap);
+
+      this.reportsMapLayer = L.markerClusterGroup ? L.markerClusterGroup() : L.layerGroup();
+      this.reportsMap.addLayer(this.reportsMapLayer);
+    }
+
+    // El contenedor estaba oculto al crear el mapa
+    this.reportsMap.invalidateSize();
+    this.reportsMapLayer.clearLayers();
+
+    located.forEach(({ report, coords }) => {
+      const tipoServicio = report.service?.type || "Sin servicio";
+      const icon = L.divIcon({
+        className: `map-marker map-marker--${this.getStatusClass(report.estado)}`,
+        html: `<span class="material-symbols-outlined">${this.getIconForType(tipoServicio)}</span>`,
+        iconSize: [32, 32],
+        iconAnchor: [16, 16],
+      });
+
+      L.marker(coords, { icon })
+        .bindPopup(`
+          <div class="map-popup">
+            <p class="map-popup__title">${this.escapeHtml(tipoServicio)}</p>
+            <p class="map-popup__location">${this.escapeHtml(report.location || "")}</p>
+            <span class="badge badge--${this.getStatusClass(report.estado)}">${this.escapeHtml(report.estado)}</span>
+            <a class="map-popup__link" href="DetalleReporte.html?id=${encodeURIComponent(report.id)}">Ver Detalles</a>
+          </div>
+        `)
+        .addTo(this.reportsMapLayer);
+    });
+
+    if (located.length > 0) {
+      const bounds = L.latLngBounds(located.map(({ coords }) => coords));
+      this.reportsMap.fitBounds(bounds, { padding: [32, 32], maxZoom: 16 });
+    }
+  },
+
+  // --- REPORTES CERCANOS (HOME) ---
+  userPosition: null,
+  userPositionAt: 0,
+  positionWatchId: null,
+  // Reportes ubicados de la última consulta "Cercanos": se reordenan al moverse
+  nearbyReports: null,
+  // Movimiento mínimo (km) para reordenar la lista en modo "Seguir mi ubicación"
+  nearbyMinMove: 0.05,
+
+  /**
+   * Ordena por distancia los reportes de la consulta (filtros incluidos).
+   */
+  async loadNearbyReports(query, requestId) {
+    const tableBody = document.getElementById("reports-table-body");
+
+    let position;
+    try {
+      position = await this.getUserPosition();
+    } catch (error) {
+      if (requestId !== this.reportsRequestId) return;
+      this.showMessage("Activa la ubicación del dispositivo para ver los reportes cercanos.", 4000);
+      // Volver al orden por fecha sin dejar una entrada extra en el historial
+      this.reportQuery = {
+        ...this.reportQuery,
+        sort: this.reportQueryDefaults.sort,
+        order: this.reportQueryDefaults.order,
+      };
+      this.writeReportQueryToUrl(false);
+      this.loadReports();
+      return;
+    }
+
+    try {
+      const { reports } = await this.fetchAllMatchingReports(query);
+      if (requestId !== this.reportsRequestId) return;
+
+      // "Cercanos" es para atender: solo reportes abiertos (los cerrados no se geolocalizan)
+      const openStates = this.getOpenStatusNames();
+      const located = await this.locateReports(
+        reports.filter((report) => openStates.includes(report.estado))
+      );
+      if (requestId !== this.reportsRequestId) return;
+
+      this.userPosition = position;
+      this.nearbyReports = located;
+      this.renderNearbyReports();
+
+    } catch (error) {
+      console.error("Error al cargar reportes cercanos:", error);
+      if (requestId !== this.reportsRequestId) return;
+      tableBody.innerHTML = `<tr><td class="reports-table__cell" colspan="5">${this.getLoadErrorText(error, "los reportes")}</td></tr>`;
+      this.renderPagination(0, query);
+    }
+  },
+
+  /**
+   * Pinta la página actual de nearbyReports según la posición y el radio.
+   */
+  renderNearbyReports() {
+    const tableBody = document.getElementById("reports-table-body");
+    if (!tableBody || !this.nearbyReports || !this.userPosition) return;
+
+    const query = this.reportQuery;
+    const radius = parseFloat(query.radio) || 0;
+
+    const sorted = this.nearbyReports
+      .map(({ report, coords }) => ({ report, distance: this.getDistanceKm(this.userPosition, coords) }))
+      .filter(({ distance }) => !radius || distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+
+    const start = (query.page - 1) * query.pageSize;
+    const page = sorted.slice(start, start + query.pageSize);
+
+    tableBody.innerHTML = "";
+
+    if (page.length === 0) {
+      tableBody.innerHTML = `<tr><td class="reports-table__cell" colspan="5">No hay reportes abiertos con ubicación ${radius ? "dentro del radio" : "que coincidan con los filtros"}.</td></tr>`;
+    }
+
+    page.forEach(({ report, distance }) =>
+      tableBody.appendChild(this.renderReportRow(report, distance))
+    );
+
+    this.renderPagination(sorted.length, query);
+  },
+
+  /**
+   * Posición actual del dispositivo. Reutiliza la última si tiene menos de un minuto
+   * o si el modo "Seguir mi ubicación" la mantiene al día.
+   * @returns {Promise<number[]>} [lat, lng]
+   */
+  getUserPosition() {
+    const fresh = Date.now() - this.userPositionAt < 60 * 1000;
+    if (this.userPosition && (fresh || this.positionWatchId !== null)) {
+      return Promise.resolve(this.userPosition);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error("Geolocalización no soportada"));
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        (position) => {
+          this.userPosition = [position.coords.latitude, position.coords.longitude];
+          this.userPositionAt = Date.now();
+          resolve(this.userPosition);
+        },
+        reject,
+        { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+      );
+    });
+  },
+
+  /**
+   * Modo "Seguir mi ubicación": reordena la lista mientras el inspector se mueve.
+   */
+  startPositionWatch() {
+    if (!navigator.geolocation || this.positionWatchId !== null) return;
+
+    this.positionWatchId = navigator.geolocation.watchPosition(
+      (position) => {
+        const next = [position.coords.latitude, position.coords.longitude];
+        const moved = !this.userPosition || this.getDistanceKm(this.userPosition, next) >= this.nearbyMinMove;
+
+        this.userPositionAt = Date.now();
+        if (!moved) return;
+
+        this.userPosition = next;
+        this.renderNearbyReports();
+      },
+      (error) => {
+        console.warn("No se pudo seguir la ubicación:", error);
+        this.showMessage("No se pudo obtener la ubicación del dispositivo.", 3000);
+        this.stopPositionWatch();
+      },
+      { enableHighAccuracy: true, maximumAge: 10000 }
+    );
+  },
+
+  stopPositionWatch() {
+    if (this.positionWatchId !== null) {
+      navigator.geolocation.clearWatch(this.positionWatchId);
+      this.positionWatchId = null;
+    }
+    const checkbox = document.getElementById("nearby-live");
+    if (checkbox) checkbox.checked = false;
+  },
+
+  /**
+   * Distancia en km entre dos puntos [lat, lng] (fórmula de haversine).
+   */
+  getDistanceKm([lat1, lng1], [lat2, lng2]) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  },
+
+  formatDistance(km) {
+    return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+  },
+
+  // ---- Cargar evidencias del reporte ----
+  async loadReportEvidence(reportId) {
+    try {
+      // Llamada correcta al endpoint de tu API
+      const response = await this.apiCall(`/Reports/${reportId}/evidencias`);
+
+      const evidencias = response.evidencias || [];
+
+      const gallery = document.getElementById("evidence-gallery");
+      if (!gallery) return;
+
+      gallery.innerHTML = "";
+
+      if (evidencias.length === 0) {
+        gallery.innerHTML = "<p>No hay evidencias adjuntas.</p>";
+        return;
+      }
+
+      this.evidenceUrls = evidencias.map((url) => `${this.assetBaseUrl}${url}`);
+
+      this.evidenceUrls.forEach((fullUrl, index) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "evidence-gallery__item";
+        button.dataset.evidenceIndex = index;
+        button.title = "Ver evidencia";
+
+        const img = document.createElement("img");
+        img.src = fullUrl;
+        img.alt = `Evidencia ${index + 1}`;
+        img.classList.add("evidence-thumb");
+        // Sin conexión y sin copia en cache → aviso en lugar de imagen rota
+        img.addEventListener("error", () => img.replaceWith(this.createEvidencePlaceholder()));
+
+        button.appendChild(img);
+        gallery.appendChild(button);
+      });
+
+      // Guardar las fotos para verlas sin conexión
+      if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({
+          type: "CACHE_EVIDENCE",
+          urls: this.evidenceUrls,
+        });
+      }
+
+    } catch (error) {
+      console.error("Error cargando evidencias:", error);
+      const gallery = document.getElementById("evidence-gallery");
+      if (gallery) gallery.innerHTML = `<p>${this.getLoadErrorText(error, "las evidencias")}</p>`;
+    }
+  },
+
+  /**
+   * En lugar del detalle a medio llenar, un estado vacío que explica por qué.
+   */
+  showReportUnavailable(title, message) {
+    const content = document.getElementById("report-content");
+    const unavailable = document.getElementById("report-unavailable");
+    if (content) content.hidden = true;
+    if (unavailable) unavailable.hidden = false;
+
+    this.setElementText("report-unavailable-title", title);
+    this.setElementText("report-unavailable-message", message);
+
+    const statusButton = document.getElementById("change-status-button");
+    if (statusButton) statusButton.disabled = true;
+  },
+
+  /**
+   * Texto de estado vacío cuando falla una carga: distingue "sin conexión y sin copia".
+   */
+  getLoadErrorText(error, what) {
+    if (error && error.offline) return `Sin conexión y sin copia guardada de ${what}.`;
+    if (error instanceof ApiClient.TimeoutError) {
+      return `El servidor tardó demasiado en responder; no se pudieron cargar ${what}.`;
+    }
+    if (error instanceof ApiClient.AuthError && error.status === 403) {
+      return `No tienes permiso para ver ${what}.`;
+    }
+    return `No se pudieron cargar ${what}.`;
+  },
+
+  createEvidencePlaceholder() {
+    const placeholder = document.createElement("div");
+    placeholder.className = "evidence-placeholder";
+    placeholder.innerHTML = `
+      <span class="material-symbols-outlined">cloud_off</span>
+      <p>No disponible sin conexión</p>
+    `;
+    return placeholder;
+  },
+
+  // ---- Visor de evidencias (lightbox) ----
+  evidenceUrls: [],
+  lightbox: null,
+
+  /**
+   * Abre el visor a pantalla completa en la foto indicada.
+   */
+  openLightbox(index) {
+    if (!this.lightbox) this.createLightbox();
+
+    this.lightbox.root.hidden = false;
+    document.body.classList.add("lightbox-open");
+    this.showLightboxImage(index);
+    this.lightbox.root.focus();
+  },
+
+  closeLightbox() {
+    if (!this.lightbox) return;
+    this.lightbox.root.hidden = true;
+    document.body.classList.remove("lightbox-open");
+  },
+
+  createLightbox() {
+    const root = document.createElement("div");
+    root.className = "lightbox";
+    root.tabIndex = -1;
+    root.hidden = true;
+    root.setAttribute("role", "dialog");
+    root.setAttribute("aria-label", "Visor de evidencias");
+    root.innerHTML = `
+      <div class="lightbox__toolbar">
+        <span class="lightbox__counter"></span>
+        <div class="flex gap-2">
+          <button type="button" class="lightbox__button" data-lightbox="zoom-out" title="Alejar"><span class="material-symbols-outlined">zoom_out</span></button>
+          <button type="button" class="lightbox__button" data-lightbox="zoom-in" title="Acercar"><span class="material-symbols-outlined">zoom_in</span></button>
+          <button type="button" class="lightbox__button" data-lightbox="download" title="Descargar"><span class="material-symbols-outlined">download</span></button>
+          <button type="button" class="lightbox__button" data-lightbox="close" title="Cerrar"><span class="material-symbols-outlined">close</span></button>
+        </div>
+      </div>
+      <button type="button" class="lightbox__nav lightbox__nav--prev" data-lightbox="prev" title="Anterior"><span class="material-symbols-outlined">chevron_left</span></button>
+      <div class="lightbox__stage">
+        <img class="lightbox__image" alt="">
+      </div>
+      <button type="button" class="lightbox__nav lightbox__nav--next" data-lightbox="next" title="Siguiente"><span class="material-symbols-outlined">chevron_right</span></button>
+    `;
+    document.body.appendChild(root);
+
+    this.lightbox = {
+      root,
+      image: root.querySelector(".lightbox__image"),
+      stage: root.querySelector(".lightbox__stage"),
+      counter: root.querySelector(".lightbox__counter"),
+      index: 0,
+      scale: 1,
+      offsetX: 0,
+      offsetY: 0,
+    };
+
+    root.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-lightbox]");
+      if (button) {
+        this.handleLightboxCommand(button.dataset.lightbox);
+      } else if (e.target === root || e.target === this.lightbox.stage) {
+        this.closeLightbox();
+      }
+    });
+
+    root.addEventListener("keydown", (e) => {
+      const commands = {
+        Escape: "close",
+        ArrowLeft: "prev",
+        ArrowRight: "next",
+        "+": "zoom-in",
+        "=": "zoom-in",
+        "-": "zoom-out",
+      };
+      if (commands[e.key]) {
+        e.preventDefault();
+        this.handleLightboxCommand(commands[e.key]);
+      }
+    });
+
+    this.lightbox.image.addEventListener("error", () => {
+      this.lightbox.stage.classList.add("lightbox__stage--unavailable");
+    });
+
+    this.lightbox.stage.addEventListener("wheel", (e) => {
+      e.preventDefault();
+      this.setLightboxZoom(this.lightbox.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2));
+    }, { passive: false });
+
+    this.lightbox.stage.addEventListener("dblclick", () => {
+      this.setLightboxZoom(this.lightbox.scale > 1 ? 1 : 2);
+    });
+
+    this.setupLightboxGestures();
+  },
+
+  /**
+   * Deslizar para cambiar de foto (sin zoom), arrastrar para moverla (con zoom)
+   * y pellizcar con dos dedos para hacer zoom.
+   */
+  setupLightboxGestures() {
+    const { stage } = this.lightbox;
+    const pointers = new Map();
+    let start = null;
+    let pinchDistance = 0;
+
+    const distance = () => {
+      const [a, b] = [...pointers.values()];
+      return Math.hypot(a.x - b.x, a.y - b.y);
+    };
+
+    stage.addEventListener("pointerdown", (e) => {
+      stage.setPointerCapture(e.pointerId);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      start = { x: e.clientX, y: e.clientY, offsetX: this.lightbox.offsetX, offsetY: this.lightbox.offsetY };
+      if (pointers.size === 2) pinchDistance = distance();
+    });
+
+    stage.addEventListener("pointermove", (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (pointers.size === 2) {
+        const current = distance();
+        this.setLightboxZoom(this.lightbox.scale * (current / pinchDistance));
+        pinchDistance = current;
+      } else if (this.lightbox.scale > 1 && start) {
+        this.lightbox.offsetX = start.offsetX + (e.clientX - start.x);
+        this.lightbox.offsetY = start.offsetY + (e.clientY - start.y);
+        this.applyLightboxTransform();
+      }
+    });
+
+    const end = (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+
+      if (pointers.size === 0 && start && this.lightbox.scale === 1) {
+        const deltaX = e.clientX - start.x;
+        if (Math.abs(deltaX) > 50) this.handleLightboxCommand(deltaX < 0 ? "next" : "prev");
+      }
+      if (pointers.size === 0) start = null;
+    };
+    stage.addEventListener("pointerup", end);
+    stage.addEventListener("pointercancel", end);
+  },
+
+  handleLightboxCommand(command) {
+    const total = this.evidenceUrls.length;
+    switch (command) {
+      case "close":
+        this.closeLightbox();
+        break;
+      case "prev":
+        this.showLightboxImage((this.lightbox.index - 1 + total) % total);
+        break;
+      case "next":
+        this.showLightboxImage((this.lightbox.index + 1) % total);
+        break;
+      case "zoom-in":
+        this.setLightboxZoom(this.lightbox.scale * 1.5);
+        break;
+      case "zoom-out":
+        this.setLightboxZoom(this.lightbox.scale / 1.5);
+        break;
+      case "download":
+        this.downloadEvidence(this.evidenceUrls[this.lightbox.index]);
+        break;
+    }
+  },
+
+  showLightboxImage(index) {
+    const total = this.evidenceUrls.length;
+    if (total === 0) return;
+
+    this.lightbox.index = index;
+    this.lightbox.stage.classList.remove("lightbox__stage--unavailable");
+    this.lightbox.image.src = this.evidenceUrls[index];
+    this.lightbox.image.alt = `Evidencia ${index + 1}`;
+    this.lightbox.counter.textContent = `${index + 1} / ${total}`;
+    this.lightbox.root.classList.toggle("lightbox--single", total === 1);
+    this.setLightboxZoom(1);
+  },
+
+  setLightboxZoom(scale) {
+    this.lightbox.scale = Math.min(5, Math.max(1, scale));
+    if (this.lightbox.scale === 1) {
+      this.lightbox.offsetX = 0;
+      this.lightbox.offsetY = 0;
+    }
+    this.applyLightboxTransform();
+  },
+
+  applyLightboxTransform() {
+    const { image, scale, offsetX, offsetY } = this.lightbox;
+    image.style.transform = `translate(${offsetX}px, ${offsetY}px) scale(${scale})`;
+    image.style.cursor = scale > 1 ? "grab" : "";
+  },
+
+  /**
+   * Descarga la foto. Si el servidor no permite leerla (CORS), se abre en otra pestaña.
+   */
+  async downloadEvidence(url) {
+    const filename = url.split("/").pop() || "evidencia.jpg";
+    try {
+      const response = await fetch(url, { mode: "cors" });
+      if (!response.ok) throw new Error(`Error ${response.status}`);
+      const blobUrl = URL.createObjectURL(await response.blob());
+
+      const link = document.createElement("a");
+      link.href = blobUrl;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+    } catch (error) {
+      if (!navigator.onLine) {
+        this.showMessage("La foto no está disponible sin conexión.");
+        return;
+      }
+      window.open(url, "_blank", "noopener");
+    }
+  },
+
+  // ---- Subida de evidencias ----
+  // Tamaño máximo (lado mayor, en px) y calidad JPEG de las fotos que se suben
+  evidenceMaxSize: 1600,
+  evidenceQuality: 0.8,
+
+  /**
+   * Procesa las fotos elegidas o capturadas: las comprime y las sube,
+   * o las guarda en la cola si no hay conexión.
+   */
+  async handleEvidenceFiles(fileList) {
+    const reportId = new URLSearchParams(window.location.search).get("id");
+    if (!reportId || !fileList || fileList.length === 0) return;
+
+    const keepLocation = document.getElementById("evidence-keep-location")?.checked || false;
+    this.rememberReportEstado(reportId, this.getCurrentReportStatus());
+
+    for (const file of Array.from(fileList)) {
+      if (!file.type.startsWith("image/")) {
+        this.showMessage(`"${file.name}" no es una imagen.`);
+        continue;
+      }
+
+      const item = this.addEvidenceUploadItem(file.name);
+
+      let prepared;
+      try {
+        prepared = await this.prepareEvidenceImage(file, keepLocation);
+      } catch (error) {
+        console.error("Error al procesar la imagen:", error);
+        this.updateEvidenceUploadItem(item, { status: "Error al procesar la imagen", error: true });
+        continue;
+      }
+
+      this.updateEvidenceUploadItem(item, {
+        thumbnail: prepared.blob,
+        status: `Lista para subir (${this.formatBytes(prepared.blob.size)})`,
+      });
+
+      const multipart = {
+        fields: prepared.location
+          ? { lat: String(prepared.location.lat), lng: String(prepared.location.lng) }
+          : {},
+        files: [{ field: "evidencias", blob: prepared.blob, filename: prepared.filename }],
+      };
+
+      await this.uploadEvidence(reportId, multipart, item);
+    }
+  },
+
+  /**
+   * Redimensiona y recomprime la imagen en el navegador. Al redibujarla en un canvas
+   * se descartan todos los metadatos EXIF; la ubicación solo se conserva si el
+   * inspector lo pidió, y se envía aparte como lat/lng.
+   * @returns {Promise<{blob: Blob, filename: string, location: {lat: number, lng: number}|null}>}
+   */
+  async prepareEvidenceImage(file, keepLocation) {
+    const location = keepLocation ? await this.readExifLocation(file) : null;
+
+    const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+    const scale = Math.min(1, this.evidenceMaxSize / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (result) => (result ? resolve(result) : reject(new Error("No se pudo comprimir la imagen"))),
+        "image/jpeg",
+        this.evidenceQuality
+      );
+    });
+
+    const filename = `${file.name.replace(/\.[^.]+$/, "") || "evidencia"}.jpg`;
+    return { blob, filename, location };
+  },
+
+  /**
+   * Lee las coordenadas GPS del EXIF de una foto JPEG.
+   * @returns {Promise<{lat: number, lng: number}|null>}
+   */
+  async readExifLocation(file) {
+    try {
+      const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+      if (view.getUint16(0) !== 0xffd8) return null;
+
+      // Buscar el segmento APP1 con la cabecera "Exif"
+      let offset = 2;
+      while (offset + 4 < view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+          return this.parseExifGps(view, offset + 10);
+        }
+        offset += 2 + length;
+      }
+    } catch (error) {
+      console.error("No se pudo leer el EXIF:", error);
+    }
+    return null;
+  },
+
+  parseExifGps(view, tiffStart) {
+    const little = view.getUint16(tiffStart) === 0x4949;
+    const u16 = (pos) => view.getUint16(pos, little);
+    const u32 = (pos) => view.getUint32(pos, little);
+
+    const readTags = (ifdOffset) => {
+      const tags = {};
+      const start = tiffStart + ifdOffset;
+      const count = u16(start);
+      for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        tags[u16(entry)] = { type: u16(entry + 2), count: u32(entry + 4), entry };
+      }
+      return tags;
+    };
+
+    const gpsPointer = readTags(u32(tiffStart + 4))[0x8825];
+    if (!gpsPointer) return null;
+
+    const gps = readTags(u32(gpsPointer.entry + 8));
+    // Grados, minutos y segundos como tres RATIONAL
+    const readCoord = (tag) => {
+      if (!tag) return null;
+      const valueOffset = tiffStart + u32(tag.entry + 8);
+      const [d, m, sec] = [0, 1, 2].map((i) =>
+        u32(valueOffset + i * 8) / (u32(valueOffset + i * 8 + 4) || 1)
+      );
+      return d + m / 60 + sec / 3600;
+    };
+    const readRef = (tag) => (tag ? String.fromCharCode(view.getUint8(tag.entry + 8)) : "");
+
+    const lat = readCoord(gps[2]);
+    const lng = readCoord(gps[4]);
+    if (lat === null || lng === null) return null;
+
+    return {
+      lat: readRef(gps[1]) === "S" ? -lat : lat,
+      lng: readRef(gps[3]) === "W" ? -lng : lng,
+    };
+  },
+
+  /**
+   * Sube una foto mostrando el progreso. Si no hay conexión (o se pierde a mitad),
+   * la petición multipart se guarda en la cola de IndexedDB.
+   */
+  async uploadEvidence(reportId, multipart, item) {
+    const url = `/Reports/${reportId}/evidencias`;
+
+    if (navigator.onLine) {
+      try {
+        await this.uploadWithProgress(url, SyncQueue.buildFormData(multipart), (percent) => {
+          this.updateEvidenceUploadItem(item, { progress: percent, status: `Subiendo… ${percent}%` });
+        });
+        this.updateEvidenceUploadItem(item, { progress: 100, status: "Subida ✔", done: true });
+        this.loadReportEvidence(reportId);
+        return;
+      } catch (error) {
+        if (!this.isQueueableUploadError(error)) {
+          console.error("Error subiendo evidencia:", error);
+          this.updateEvidenceUploadItem(item, { status: `Error al subir (${error.status})`, error: true });
+          return;
+        }
+        // Sin conexión o sin sesión: se guarda para reenviar
+      }
+    }
+
+    try {
+      const action = await SyncQueue.enqueue({
+        type: "evidence-upload",
+        reportId,
+        url,
+        method: "POST",
+        multipart,
+      });
+      item.dataset.actionId = action.id;
+      this.updateEvidenceUploadItem(item, { progress: 0, status: "En cola: se subirá al recuperar la conexión" });
+      this.registerBackgroundSync();
+    } catch (error) {
+      console.error("Error al guardar la foto offline:", error);
+      this.updateEvidenceUploadItem(item, { status: "No se pudo guardar la foto offline", error: true });
+    }
+  },
+
+  /**
+   * true si la subida falló por la conexión (status 0) o porque la sesión no se pudo
+   * renovar (401): se guarda en la cola, que espera a la red o a un nuevo inicio de sesión.
+   */
+  isQueueableUploadError(error) {
+    return !error.status || error.status === 401;
+  },
+
+  /**
+   * POST multipart que informa el progreso de subida. Como apiCall, usa el token
+   * renovado y, ante un 401, renueva la sesión y repite una vez.
+   * Rechaza con error.status = 0 si falla la red o el Service Worker responde sin conexión.
+   */
+  async uploadWithProgress(endpoint, formData, onProgress, authRetried = false) {
+    const token = await this.ensureFreshToken();
+    try {
+      return await this.sendWithProgress(endpoint, formData, onProgress, token);
+    } catch (error) {
+      if (error.status === 401 && token && !authRetried) {
+        const renewed = token === localStorage.getItem("authToken")
+          ? await this.refreshSession().catch(() => null)
+          : localStorage.getItem("authToken");
+        if (renewed) return this.uploadWithProgress(endpoint, formData, onProgress, true);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Envía la petición con XMLHttpRequest, que (a diferencia de fetch) informa el progreso de subida.
+   */
+  sendWithProgress(endpoint, formData, onProgress, token) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open("POST", `${this.apiBaseUrl}${endpoint}`);
+
+      if (token) xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+      xhr.setRequestHeader("Idempotency-Key", SyncQueue.createId());
+
+      const networkError = () => {
+        const error = new Error("Error de red al subir el archivo");
+        error.status = 0;
+        return error;
+      };
+
+      xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) onProgress(Math.round((event.loaded / event.total) * 100));
+      };
+      xhr.onload = () => {
+        // 503 del Service Worker: la red se cayó, no es una respuesta del servidor
+        if (xhr.getResponseHeader("X-CC-Offline")) {
+          reject(networkError());
+        } else if (xhr.status >= 200 && xhr.status < 300) {
+          resolve(xhr.responseText);
+        } else {
+          const error = new Error(`Error en la API: ${xhr.status} ${xhr.responseText}`);
+          error.status = xhr.status;
+          reject(error);
+        }
+      };
+      xhr.onerror = () => reject(networkError());
+
+      xhr.send(formData);
+    });
+  },
+
+  /**
+   * Muestra las fotos de este reporte que siguen en la cola offline.
+   */
+  async loadQueuedEvidenceUploads(reportId) {
+    const list = document.getElementById("evidence-upload-list");
+    if (!list) return;
+
+    const queued = (await SyncQueue.getAll().catch(() => [])).filter(
+      (action) => action.type === "evidence-upload" && SyncQueue.getReportId(action) === String(reportId)
+    );
+
+    queued.forEach((action) => {
+      if (list.querySelector(`[data-action-id="${CSS.escape(action.id)}"]`)) return;
+      const file = action.multipart.files[0];
+      const item = this.addEvidenceUploadItem(file.filename);
+      item.dataset.actionId = action.id;
+      this.updateEvidenceUploadItem(item, {
+        thumbnail: file.blob,
+        progress: 0,
+        status: action.lastError
+          ? `En cola (último error: ${action.lastError})`
+          : "En cola: se subirá al recuperar la conexión",
+      });
+    });
+  },
+
+  /**
+   * Refleja en la lista de subidas el resultado del reenvío de una foto en cola.
+   */
+  updateQueuedEvidenceProgress(event) {
+    const list = document.getElementById("evidence-upload-list");
+    if (!list) return;
+
+    const id = event.id || event.action?.id;
+    const item = id && list.querySelector(`[data-action-id="${CSS.escape(id)}"]`);
+    if (!item) return;
+
+    if (event.type === "progress" && event.ok) {
+      this.updateEvidenceUploadItem(item, { progress: 100, status: "Subida ✔", done: true });
+      const reportId = new URLSearchParams(window.location.search).get("id");
+      if (reportId) this.loadReportEvidence(reportId);
+    } else if (event.type === "progress") {
+      this.updateEvidenceUploadItem(item, { status: `En cola (último error: ${event.error})` });
+    } else if (event.type === "dead-letter") {
+      this.updateEvidenceUploadItem(item, { status: "El servidor rechazó la foto", error: true });
+    } else if (event.type === "removed") {
+      item.remove();
+    }
+  },
+
+  addEvidenceUploadItem(name) {
+    const list = document.getElementById("evidence-upload-list");
+    const item = document.createElement("li");
+    item.className = "evidence-upload__item";
+    item.innerHTML = `
+      <div class="evidence-upload__thumb"></div>
+      <div class="evidence-upload__info">
+        <p class="evidence-upload__name">${this.escapeHtml(name)}</p>
+        <progress class="evidence-upload__progress" max="100" value="0"></progress>
+        <p class="evidence-upload__status">Procesando…</p>
+      </div>
+    `;
+    if (list) list.appendChild(item);
+    return item;
+  },
+
+  updateEvidenceUploadItem(item, { thumbnail, progress, status, done, error }) {
+    if (thumbnail) {
+      const url = URL.createObjectURL(thumbnail);
+      item.querySelector(".evidence-upload__thumb").style.backgroundImage = `url('${url}')`;
+    }
+    if (progress !== undefined) item.querySelector(".evidence-upload__progress").value = progress;
+    if (status) item.querySelector(".evidence-upload__status").textContent = status;
+    item.classList.toggle("evidence-upload__item--done", Boolean(done));
+    item.classList.toggle("evidence-upload__item--error", Boolean(error));
+  },
+
+  async loadReportDetails() {
+    const reportId = new URLSearchParams(window.location.search).get("id");
+    if (!reportId) return;
+
+    try {
+      const report = await this.apiCall(`/Reports/${reportId}`);
+      if (!report) return;
+
+      if (!this.isReportInScope(report)) {
+        this.showReportUnavailable("Reporte fuera de tu área", "Este reporte no corresponde a tu tipo de servicio.");
+        return;
+      }
+
+      this.currentReport = report;
+      // Lo que el usuario ya vio en pantalla no genera notificación
+      this.rememberReportEstado(reportId, report.estado, { touch: false });
+
+      const tipoServicio = report.service?.type || "Sin servicio";
+
+      this.setElementText(
+        "report-title",
+        report.service ? `${report.service.type || ""}`.trim() : "-"
+      );
+      this.renderReportStatus(report.estado);
+      this.setElementText("report-title", tipoServicio);
+      this.setElementText("report-location", report.location || "-");
+      this.setElementText(
+        "report-date",
+        report.createdAt ? new Date(report.createdAt).toLocaleDateString() : "-"
+      );
+      this.setElementText(
+        "report-user",
+        report.user ? `${report.user.name} ${report.user.lastName || ""}`.trim() : "-"
+      );
+
+      this.loadReportEvidence(reportId);
+      this.loadQueuedEvidenceUploads(reportId);
+      this.loadStatusHistory(reportId);
+
+      this.setElementText("report-description", report.description || "-");
+
+    } catch (error) {
+      console.error("Error al cargar detalles del reporte:", error);
+      this.showReportUnavailable(
+        error.offline ? "Reporte no disponible sin conexión" : "No se pudo cargar el reporte",
+        error.offline
+          ? "Este reporte no está guardado en el dispositivo. Conéctate a internet para verlo, o descárgalo con \"Descargar para offline\" en Sincronización."
+          : error.status === 404
+            ? "El reporte no existe o fue eliminado."
+            : this.getApiErrorMessage(error)
+      );
+    }
+
+    this.loadSyncConflicts(reportId);
+  },
+
+  // ---- Historial de estados ----
+  /**
+   * Muestra la línea de tiempo del reporte: cambios de estado y notas internas del API,
+   * más los cambios y notas guardados offline que aún no se sincronizan.
+   */
+  async loadStatusHistory(reportId) {
+    const container = document.getElementById("status-history");
+    if (!container) return;
+
+    let history = [];
+    let historyAvailable = true;
+    const [historyResult, notes, queue] = await Promise.all([
+      // Sin historial en el API se muestran los cambios locales y pendientes, sin aviso
+      this.apiCall(`/Reports/${reportId}/historial`, { quiet: true }).catch((error) => {
+        console.error("Error cargando historial:", error);
+        historyAvailable = false;
+        return [];
+      }),
+      this.loadNotes(reportId),
+      SyncQueue.getAll().catch(() => []),
+    ]);
+    history = Array.isArray(historyResult) ? historyResult : (historyResult && historyResult.historial) || [];
+
+    const pending = queue.filter(
+      (action) =>
+        action.type === "status-change" && SyncQueue.getReportId(action) === String(reportId)
+    );
+
+    const statusEntries = history
+      .map((entry) => ({
+        kind: "status",
+        estado: entry.estado,
+        comment: entry.comentario || "",
+        user: entry.user
+          ? `${entry.user.name || ""} ${entry.user.lastName || ""}`.trim()
+          : entry.userName || "",
+        date: entry.createdAt,
+        pending: false,
+      }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    pending.forEach((action) => {
+      statusEntries.push({
+        kind: "status",
+        estado: action.body?.estado,
+        comment: action.body?.comentario || "",
+        user: this.getCurrentUserName(),
+        date: action.createdAt,
+        pending: true,
+        conflict: action.status === "conflict",
+      });
+    });
+
+    // Cuánto tiempo permaneció el reporte en cada estado
+    statusEntries.forEach((entry, index) => {
+      const next = statusEntries[index + 1];
+      entry.duration = next
+        ? `Permaneció ${this.formatDuration(new Date(next.date) - new Date(entry.date))}`
+        : entry.pending ? "" : `Desde hace ${this.formatDuration(Date.now() - new Date(entry.date))}`;
+    });
+
+    // Las notas se intercalan por fecha; lo creado offline queda al final
+    const isQueued = (entry) => entry.pending === true || entry.pending === "create";
+    const entries = [...statusEntries, ...notes.map((note) => ({ kind: "note", ...note }))]
+      .sort((a, b) => isQueued(a) - isQueued(b) || new Date(a.date) - new Date(b.date));
+
+    if (entries.length === 0) {
+      container.innerHTML = historyAvailable
+        ? "<p class='history-log__empty'>Sin cambios de estado registrados.</p>"
+        : "<p class='history-log__empty'>Historial no disponible.</p>";
+      return;
+    }
+
+    container.innerHTML = entries
+      .map((entry) => (entry.kind === "note" ? this.renderNoteEntry(entry) : this.renderStatusEntry(entry)))
+      .join("");
+  },
+
+  renderStatusEntry(entry) {
+    const badge = this.getStatusClass(entry.estado);
+    const icon = this.statusWorkflow.states[entry.estado]?.icon || "help";
+
+    return `
+      <div class="history-log__item${entry.pending ? " history-log__item--pending" : ""}">
+        <div class="history-log__icon history-log__icon--${badge}">
+          <span class="material-symbols-outlined">${icon}</span>
+        </div>
+        <div>
+          <p class="history-log__text">
+            <strong>${this.escapeHtml(entry.estado || "-")}</strong>
+            ${entry.user ? `por ${this.escapeHtml(entry.user)}` : ""}
+            ${entry.pending ? `<span class="history-log__tag">${entry.conflict ? "En conflicto" : "Pendiente de sincronizar"}</span>` : ""}
+          </p>
+          ${entry.comment ? `<p class="history-log__comment">${this.escapeHtml(entry.comment)}</p>` : ""}
+          <p class="history-log__date">
+            ${entry.date ? new Date(entry.date).toLocaleString() : "-"}
+            ${entry.duration ? ` · ${entry.duration}` : ""}
+          </p>
+        </div>
+      </div>
+    `;
+  },
+
+  renderNoteEntry(note) {
+    const pendingLabels = {
+      create: "Pendiente de sincronizar",
+      update: "Edición pendiente",
+      delete: "Eliminación pendiente",
+    };
+    const id = this.escapeHtml(note.id);
+    const actions = note.own && note.pending !== "delete"
+      ? `
+        <div class="history-log__actions">
+          <button type="button" class="history-log__action" data-note-edit="${id}">Editar</button>
+          <button type="button" class="history-log__action" data-note-delete="${id}">Eliminar</button>
+        </div>
+      `
+      : "";
+
+    return `
+      <div class="history-log__item history-log__item--note${note.pending ? " history-log__item--pending" : ""}" data-note-id="${id}">
+        <div class="history-log__icon history-log__icon--note">
+          <span class="material-symbols-outlined">sticky_note_2</span>
+        </div>
+        <div class="flex-1">
+          <p class="history-log__text">
+            <strong>Nota interna</strong>
+            ${note.user ? `de ${this.escapeHtml(note.user)}` : ""}
+            ${note.pending ? `<span class="history-log__tag">${pendingLabels[note.pending]}</span>` : ""}
+          </p>
+          <p class="history-log__comment" data-note-text>${this.escapeHtml(note.text)}</p>
+          <p class="history-log__date">${note.date ? new Date(note.date).toLocaleString() : "-"}</p>
+          ${actions}
+        </div>
+      </div>
+    `;
+  },
+
+  // --- FUNCIONES DE NOTAS ---
+  /**
+   * Notas internas del reporte: las del API con los cambios offline aplicados encima.
+   * @returns {Promise<object[]>} - { id, text, user, date, own, pending: null|'create'|'update'|'delete' }
+   */
+  async loadNotes(reportId) {
+    let notas = [];
+    try {
+      const response = await this.apiCall(`/reports/${reportId}/notas`, { quiet: true });
+      notas = Array.isArray(response) ? response : (response && response.notas) || [];
+    } catch (error) {
+      console.error("Error al cargar notas:", error);
+    }
+
+    const myId = this.currentUser ? String(this.currentUser.id) : null;
+    const notes = notas.map((note) => ({
+      id: String(note.id),
+      text: note.description,
+      user: note.user
+        ? `${note.user.name || ""} ${note.user.lastName || ""}`.trim()
+        : "",
+      date: note.createdAt,
+      own: myId !== null && String(note.userId ?? note.user?.id) === myId,
+      pending: null,
+    }));
+
+    const queued = (await SyncQueue.getAll().catch(() => [])).filter(
+      (action) =>
+        ["note-create", "note-update", "note-delete"].includes(action.type) &&
+        SyncQueue.getReportId(action) === String(reportId)
+    );
+
+    queued.forEach((action) => {
+      if (action.type === "note-create") {
+        notes.push({
+          id: `local:${action.id}`,
+          text: action.body.description,
+          user: this.getCurrentUserName(),
+          date: action.createdAt,
+          own: true,
+          pending: "create",
+        });
+        return;
+      }
+
+      const note = notes.find((item) => item.id === String(action.noteId));
+      if (!note) return;
+      if (action.type === "note-update") {
+        note.text = action.body.description;
+        note.pending = note.pending || "update";
+      } else {
+        note.pending = "delete";
+      }
+    });
+
+    return notes;
+  },
+
+  async handleNoteSubmit(event) {
+    event.preventDefault();
+
+    const reportId = new URLSearchParams(window.location.search).get("id");
+    const textarea = document.getElementById("note-text");
+    const content = textarea.value.trim();
+
+    if (!content) {
+      this.showMessage("La nota no puede estar vacía.");
+      return;
+    }
+
+    if (!this.currentUser) {
+      this.showMessage("No se encontró usuario autenticado.");
+      return;
+    }
+
+    const body = { userId: this.currentUser.id, description: content };
+    this.rememberReportEstado(reportId, this.getCurrentReportStatus());
+
+    // Sin conexión (o si se pierde al enviar) se guarda en la cola y se muestra como pendiente
+    try {
+      await this.sendOrQueue(
+        { type: "note-create", reportId, url: `/reports/${reportId}/notas`, method: "POST", body },
+        "Nota agregada correctamente."
+      );
+    } catch (error) {
+      console.error("Error agregando nota:", error);
+      this.showMessage(`Error al agregar la nota. ${this.getApiErrorMessage(error)}`, 4000);
+      return;
+    }
+
+    textarea.value = "";
+    this.loadStatusHistory(reportId);
+  },
+
+  /**
+   * Cambia el texto de la nota por un formulario de edición.
+   */
+  startNoteEdit(noteId) {
+    const item = document.querySelector(`[data-note-id="${CSS.escape(noteId)}"]`);
+    if (!item || item.querySelector("[data-note-edit-form]")) return;
+
+    const textEl = item.querySelector("[data-note-text]");
+    const form = document.createElement("form");
+    form.className = "note-edit-form";
+    form.dataset.noteEditForm = noteId;
+    form.innerHTML = `
+      <textarea class="status-menu__textarea" rows="3" required></textarea>
+      <div class="flex gap-2">
+        <button type="submit" class="button button--primary">Guardar</button>
+        <button type="button" class="button button--secondary" data-note-cancel>Cancelar</button>
+      </div>
+    `;
+    form.querySelector("textarea").value = textEl.textContent;
+    textEl.replaceWith(form);
+    form.querySelector("textarea").focus();
+  },
+
+  async handleNoteEditSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const noteId = form.dataset.noteEditForm;
+    const reportId = new URLSearchParams(window.location.search).get("id");
+    const content = form.querySelector("textarea").value.trim();
+
+    if (!content) {
+      this.showMessage("La nota no puede estar vacía.");
+      return;
+    }
+
+    try {
+      if (noteId.startsWith("local:")) {
+        // La nota aún no llega al servidor: basta con cambiar la acción en cola
+        const action = (await SyncQueue.getAll()).find((a) => `local:${a.id}` === noteId);
+        if (action) {
+          await SyncQueue.update(action.id, { body: { ...action.body, description: content } });
+        }
+      } else {
+        await this.sendOrQueue(
+          {
+            type: "note-update",
+            reportId,
+            noteId,
+            url: `/reports/${reportId}/notas/${noteId}`,
+            method: "PUT",
+            body: { description: content },
+          },
+          "Nota actualizada."
+        );
+      }
+    } catch (error) {
+      console.error("Error editando nota:", error);
+      this.showMessage(`Error al editar la nota. ${this.getApiErrorMessage(error)}`, 4000);
+    }
+
+    this.loadStatusHistory(reportId);
+  },
+
+  async handleNoteDelete(noteId) {
+    if (!confirm("¿Eliminar esta nota?")) return;
+
+    const reportId = new URLSearchParams(window.location.search).get("id");
+
+    try {
+      const queue = await SyncQueue.getAll();
+
+      if (noteId.startsWith("local:")) {
+        const action = queue.find((a) => `local:${a.id}` === noteId);
+        if (action) await SyncQueue.remove(action.id);
+      } else {
+        // Las ediciones en cola de esta nota ya no tienen sentido
+        const edits = queue.filter((a) => a.type === "note-update" && String(a.noteId) === noteId);
+        for (const edit of edits) {
+          await SyncQueue.remove(edit.id);
+        }
+
+        await this.sendOrQueue(
+          {
+            type: "note-delete",
+            reportId,
+            noteId,
+            url: `/reports/${reportId}/notas/${noteId}`,
+            method: "DELETE",
+          },
+          "Nota eliminada."
+        );
+      }
+    } catch (error) {
+      console.error("Error eliminando nota:", error);
+      this.showMessage(`Error al eliminar la nota. ${this.getApiErrorMessage(error)}`, 4000);
+    }
+
+    this.loadStatusHistory(reportId);
+  },
+
+  // ---- Conflictos de sincronización ----
+  /**
+   * Muestra los cambios de estado en cola que chocaron con un cambio hecho en el servidor.
+   */
+  async loadSyncConflicts(reportId) {
+    const container = document.getElementById("sync-conflicts");
+    if (!container) return;
+
+    const conflicts = await SyncQueue.getConflicts(reportId).catch(() => []);
+
+    if (conflicts.length === 0) {
+      container.hidden = true;
+      container.innerHTML = "";
+      return;
+    }
+
+    container.innerHTML = `
+      <h2 class="card__title">Conflicto de sincronización</h2>
+      ${conflicts.map((action) => `
+        <div class="sync-conflict__item">
+          <p class="sync-conflict__text">
+            Cambiaste el estado de <strong>${this.escapeHtml(action.expectedEstado || "-")}</strong>
+            a <strong>${this.escapeHtml(action.body?.estado || "-")}</strong> sin conexión
+            (${new Date(action.createdAt).toLocaleString()}), pero en el servidor el reporte ya está
+            en <strong>${this.escapeHtml(action.conflict?.serverEstado || "otro estado")}</strong>.
+          </p>
+          <div class="flex gap-2">
+            <button class="button button--primary" data-conflict-action="keep" data-conflict-id="${this.escapeHtml(action.id)}">Mantener mi cambio</button>
+            <button class="button button--secondary" data-conflict-action="accept" data-conflict-id="${this.escapeHtml(action.id)}">Aceptar el del servidor</button>
+            <button class="button button--secondary" data-conflict-action="discard" data-conflict-id="${this.escapeHtml(action.id)}">Descartar mi cambio</button>
+          </div>
+        </div>
+      `).join("")}
+    `;
+    container.hidden = false;
+  },
+
+  /**
+   * Aplica la decisión del inspector sobre un conflicto y actualiza la vista.
+   * @param {string} actionId - Id de la acción en conflicto.
+   * @param {"keep"|"accept"|"discard"} resolution
+   */
+  async handleConflictResolution(actionId, resolution) {
+    const conflicts = await SyncQueue.getConflicts();
+    const action = conflicts.find((item) => String(item.id) === actionId);
+    if (!action) return;
+
+    try {
+      await SyncQueue.resolveConflict(action.id, resolution);
+    } catch (error) {
+      console.error("Error al resolver el conflicto:", error);
+      this.showMessage("No se pudo resolver el conflicto.");
+      return;
+    }
+
+    if (resolution === "keep") {
+      this.renderReportStatus(action.body.estado);
+      this.showMessage("Se reenviará tu cambio al servidor.");
+      this.registerBackgroundSync();
+      if (navigator.onLine) this.processSyncQueue();
+    } else {
+      if (action.conflict?.serverEstado) {
+        this.renderReportStatus(action.conflict.serverEstado);
+      }
+      this.showMessage(
+        resolution === "accept" ? "Se aplicó el estado del servidor." : "Cambio descartado."
+      );
+      // Las notas y fotos que esperaban detrás del conflicto ya pueden enviarse
+      this.registerBackgroundSync();
+      if (navigator.onLine) {
+        this.processSyncQueue();
+        this.loadReportDetails();
+        return;
+      }
+    }
+
+    this.loadSyncConflicts(action.reportId);
+  },
+
+  // ---- Cambio de estado ----
+  /**
+   * Muestra el estado actual del reporte con el color que le da el flujo.
+   */
+  renderReportStatus(estado) {
+    const el = document.getElementById("report-details-status");
+    if (!el) return;
+    el.textContent = estado || "-";
+    el.className = `report-details-status report-details-status--${this.getStatusClass(estado)}`;
+    if (this.currentReport) this.currentReport.estado = estado;
+  },
+
+  /**
+   * Estado actual del reporte abierto (incluye cambios offline ya aplicados en pantalla).
+   */
+  getCurrentReportStatus() {
+    if (this.currentReport?.estado) return this.currentReport.estado;
+    const el = document.getElementById("report-details-status");
+    return el ? el.textContent.trim() : "";
+  },
+
+  toggleStatusMenu() {
+    const menu = document.getElementById("change-status-menu");
+    if (!menu) return;
+    if (!menu.hidden) {
+      this.closeStatusMenu();
+      return;
+    }
+
+    const transitions = this.getAvailableTransitions(this.getCurrentReportStatus());
+
+    menu.innerHTML = transitions.length
+      ? transitions.map((t) => `
+          <button type="button" class="status-menu__item" data-next-status="${this.escapeHtml(t.to)}">
+            <span class="badge badge--${this.getStatusClass(t.to)}">${this.escapeHtml(t.to)}</span>
+            ${this.escapeHtml(t.label || t.to)}
+          </button>
+        `).join("")
+      : `<p class="status-menu__empty">No hay cambios de estado disponibles para tu rol.</p>`;
+    menu.hidden = false;
+  },
+
+  closeStatusMenu() {
+    const menu = document.getElementById("change-status-menu");
+    if (menu) menu.hidden = true;
+  },
+
+  /**
+   * Al elegir un estado: si la transición exige comentario, se pide antes de aplicar.
+   */
+  handleStatusOption(nextStatus) {
+    const transition = this.getTransition(this.getCurrentReportStatus(), nextStatus);
+    if (!transition) return;
+
+    if (!transition.requiresComment) {
+      this.closeStatusMenu();
+      this.handleStatusChange(nextStatus);
+      return;
+    }
+
+    const menu = document.getElementById("change-status-menu");
+    menu.innerHTML = `
+      <form id="status-comment-form" class="status-menu__form" data-next-status-target="${this.escapeHtml(nextStatus)}">
+        <label for="status-comment" class="status-menu__label">
+          ${this.escapeHtml(transition.label || nextStatus)}: indica el motivo
+        </label>
+        <textarea id="status-comment" class="status-menu__textarea" rows="3" required></textarea>
+        <button type="submit" class="button button--primary">Confirmar</button>
+      </form>
+    `;
+    document.getElementById("status-comment").focus();
+  },
+
+  handleStatusCommentSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const comment = form.querySelector("#status-comment").value.trim();
+    if (!comment) {
+      this.showMessage("Este cambio de estado requiere un comentario.");
+      return;
+    }
+    this.closeStatusMenu();
+    this.handleStatusChange(form.dataset.nextStatusTarget, comment);
+  },
+
+  /**
+   * Cambia el estado del reporte abierto. Sin conexión, lo guarda en la cola.
+   * @param {string} nextStatus - Estado destino.
+   * @param {string} [comment] - Comentario, obligatorio en algunas transiciones.
+   */
+  async handleStatusChange(nextStatus, comment) {
+    const reportId = new URLSearchParams(window.location.search).get("id");
+    if (!reportId) {
+      this.showMessage("ID de reporte no encontrado.");
+      return;
+    }
+
+    const currentStatus = this.getCurrentReportStatus();
+    const transition = this.getTransition(currentStatus, nextStatus);
+
+    if (!transition) {
+      this.showMessage(`No puedes cambiar de "${currentStatus}" a "${nextStatus}".`);
+      return;
+    }
+    if (transition.requiresComment && !comment) {
+      this.showMessage("Este cambio de estado requiere un comentario.");
+      return;
+    }
+
+    const body = { estado: nextStatus };
+    if (comment) body.comentario = comment;
+
+    // Si NO hay internet → guardar en cola
+    if (!navigator.onLine) {
+      await this.queueStatusChange(reportId, body, currentStatus);
+      return;
+    }
+
+    // Si hay internet → hacer la petición normal
+    try {
+      await this.apiCall(`/Reports/${reportId}/estado`, {
+        method: "PUT",
+        body,
+        quiet: true
+      });
+
+      this.showMessage("Estado actualizado ✔");
+
+      this.renderReportStatus(nextStatus);
+      this.rememberReportEstado(reportId, nextStatus);
+      this.loadStatusHistory(reportId);
+
+    } catch (error) {
+      // La conexión se cayó (o el Service Worker respondió sin red): igual que offline
+      if (error instanceof ApiClient.NetworkError) {
+        await this.queueStatusChange(reportId, body, currentStatus);
+        return;
+      }
+      console.error("Error actualizando estado:", error);
+      this.showMessage(`Error al cambiar estado. ${this.getApiErrorMessage(error)}`, 4000);
+    }
+  },
+
+  /**
+   * Guarda el cambio de estado en la cola y lo muestra como aplicado.
+   * @param {string} currentStatus - Estado conocido al cambiarlo, para detectar conflictos al reenviar.
+   */
+  async queueStatusChange(reportId, body, currentStatus) {
+    try {
+      await this.enqueueSyncAction({
+        type: "status-change",
+        reportId,
+        url: `/Reports/${reportId}/estado`,
+        method: "PUT",
+        body,
+        // Lo que se conocía del reporte, para detectar conflictos al reenviar
+        expectedEstado: currentStatus,
+        expectedVersion: this.currentReport?.updatedAt || null
+      });
+    } catch (error) {
+      return;
+    }
+
+    this.renderReportStatus(body.estado);
+    this.rememberReportEstado(reportId, body.estado);
+
+    this.showMessage("Estado guardado offline ✔ Se sincronizará cuando vuelva el internet.");
+  },
+
+  /**
+   * Grupo de permisos del usuario según su rol: "supervisor" o "inspector".
+   * Lo usan el flujo de estados y el alcance por tipo de servicio. Se decide solo
+   * por el rol: isAdmin no sirve, las cuentas antiguas lo recibieron al registrarse.
+   * @returns {string|null}
+   */
+  getRoleGroup(user = this.currentUser) {
+    if (!user) return null;
+    const rol = (user.rol || "").toLowerCase();
+    if (rol.includes("supervisor") || rol.includes("admin")) return "supervisor";
+    if (rol.includes("inspector")) return "inspector";
+    return null;
+  },
+
+  /**
+   * Transiciones que el usuario actual puede hacer desde un estado.
+   */
+  getAvailableTransitions(fromStatus, user = this.currentUser) {
+    const group = this.getRoleGroup(user);
+    if (!group) return [];
+    return this.statusWorkflow.transitions.filter(
+      (t) => t.from === fromStatus && t.roles.includes(group)
+    );
+  },
+
+  getTransition(fromStatus, toStatus, user = this.currentUser) {
+    return this.getAvailableTransitions(fromStatus, user).find((t) => t.to === toStatus) || null;
+  },
+
+  getStatusNames() {
+    return Object.keys(this.statusWorkflow.states);
+  },
+
+  getOpenStatusNames() {
+    return this.getStatusNames().filter((name) => !this.statusWorkflow.states[name].final);
+  },
+
+  // Tipos de servicio: se reconocen por palabra clave en service.type
+  serviceTypes: [
+    { key: "agua", label: "Agua", icon: "water_drop" },
+    { key: "luz", label: "Luz", icon: "bolt" },
+    { key: "infra", label: "Infraestructura", icon: "construction" },
+  ],
+
+  /**
+   * Clave del tipo de servicio ("agua", "luz", "infra") o "" si no se reconoce.
+   */
+  getServiceTypeKey(type) {
+    if (!type) return "";
+    const t = type.toLowerCase();
+    const match = this.serviceTypes.find((serviceType) => t.includes(serviceType.key));
+    return match ? match.key : "";
+  },
+
+  /**
+   * Tipos de servicio que el usuario puede ver, según las palabras clave de su rol
+   * ("Inspector de agua" → ["agua"]). Los supervisores (getRoleGroup) ven todos.
+   * @returns {string[]|null} Claves de serviceTypes, o null si ve todos los tipos.
+   */
+  getServiceScope(user = this.currentUser) {
+    if (!user || this.getRoleGroup(user) === "supervisor") return null;
+
+    const rol = (user.rol || "").toLowerCase();
+
+    const keys = this.serviceTypes
+      .filter((serviceType) => rol.includes(serviceType.key))
+      .map((serviceType) => serviceType.key);
+
+    return keys.length > 0 ? keys : null;
+  },
+
+  isReportInScope(report, user = this.currentUser) {
+    const scope = this.getServiceScope(user);
+    return !scope || scope.includes(this.getServiceTypeKey(report.service?.type));
+  },
+
+  getIconForType(type) {
+    if (!type) return "help";
+
+    const key = this.getServiceTypeKey(type);
+    const match = this.serviceTypes.find((serviceType) => serviceType.key === key);
+
+    return match ? match.icon : "report";
+  },
+
+  // --- PERFIL ---
+  // Lado del avatar recortado que se sube (px)
+  avatarSize: 256,
+  avatarQuality: 0.85,
+  // Recorte en curso: { bitmap, zoom, centerX, centerY }
+  avatarCrop: null,
+
+  loadProfile() {
+    if (!this.currentUser) return;
+    const fullname =
+      `${this.currentUser.name || ""} ${this.currentUser.lastName || ""
+        }`.trim() || "Usuario";
+    this.setElementText("profile-name", fullname);
+    this.setElementText("profile-email", this.currentUser.email || "");
+    this.setElementText("profile-rol", this.currentUser.rol || "");
+    this.setElementValue("name", this.currentUser.name || "");
+    this.setElementValue("lastName", this.currentUser.lastName || "");
+    this.setElementValue("phone", this.currentUser.phone || "");
+    this.setElementValue("email", this.currentUser.email || "");
+    this.setElementValue("rol", this.currentUser.rol || "");
+    this.renderUserAvatar();
+    this.renderProfilePending();
+  },
+
+  setupProfileForms() {
+    const profileForm = document.getElementById("profile-form");
+    const passwordForm = document.getElementById("password-form");
+    const newPassword = document.getElementById("newPassword");
+
+    this.formValidators["profile-form"] = FormValidation.attach(profileForm, {
+      name: [FormValidation.required()],
+      lastName: [FormValidation.required()],
+      phone: [FormValidation.phone()],
+    });
+    this.formValidators["password-form"] = FormValidation.attach(passwordForm, {
+      currentPassword: [FormValidation.required()],
+      newPassword: [FormValidation.required(), FormValidation.password()],
+      confirmNewPassword: [FormValidation.required("Confirma la contraseña."), FormValidation.matches("newPassword")],
+    });
+
+    document.getElementById("cancel-profile-button").addEventListener("click", () => {
+      FormValidation.clearErrors(profileForm);
+      this.loadProfile();
+    });
+
+    this.renderPasswordRules("");
+    newPassword.addEventListener("input", () => this.renderPasswordRules(newPassword.value));
+  },
+
+  /**
+   * Muestra la foto del usuario en los elementos [data-user-avatar], o sus iniciales si no tiene.
+   */
+  renderUserAvatar() {
+    const user = this.currentUser || {};
+    const url = this.resolveAvatarUrl(user.avatarUrl);
+    const initials = `${(user.name || "").charAt(0)}${(user.lastName || "").charAt(0)}`.toUpperCase() || "?";
+
+    document.querySelectorAll("[data-user-avatar]").forEach((el) => {
+      el.style.backgroundImage = url ? `url('${url}')` : "";
+      el.textContent = url ? "" : initials;
+      el.classList.toggle("user-avatar--initials", !url);
+    });
+  },
+
+  /**
+   * Las rutas que devuelve la API son relativas a assetBaseUrl; las data: URL son la vista previa local.
+   */
+  resolveAvatarUrl(avatarUrl) {
+    if (!avatarUrl) return null;
+    return /^(https?:|data:|blob:)/.test(avatarUrl) ? avatarUrl : `${this.assetBaseUrl}${avatarUrl}`;
+  },
+
+  /**
+   * Cambia los datos del usuario en memoria y en localStorage sin esperar al servidor.
+   */
+  updateCurrentUser(changes) {
+    this.currentUser = { ...this.currentUser, ...changes };
+    localStorage.setItem("currentUser", JSON.stringify(this.currentUser));
+    this.renderUserAvatar();
+  },
+
+  /**
+   * Vuelve a pedir el perfil al servidor, p. ej. cuando se reenvió la foto que estaba en cola.
+   */
+  async refreshCurrentUser() {
+    if (!this.currentUser) return;
+    try {
+      const user = await this.apiCall(`/Users/${this.currentUser.id}`, { quiet: true });
+      if (user && typeof user === "object") this.updateCurrentUser(user);
+      this.loadProfile();
+    } catch (error) {
+      console.error("Error actualizando el perfil:", error);
+    }
+  },
+
+  async renderProfilePending() {
+    const pending = document.getElementById("profile-pending");
+    if (!pending) return;
+    const queue = await SyncQueue.getAll().catch(() => []);
+    pending.hidden = !queue.some((action) => ["profile-update", "avatar-upload"].includes(action.type));
+  },
+
+  /**
+   * Guarda nombre, apellido y teléfono. Los cambios se ven de inmediato; sin conexión
+   * quedan en la cola (una sola edición pendiente: la última reemplaza a las anteriores).
+   */
+  async handleProfileSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const errors = this.formValidators["profile-form"]();
+    if (Object.keys(errors).length > 0) return;
+
+    const changes = {
+      name: form.elements.name.value.trim(),
+      lastName: form.elements.lastName.value.trim(),
+      phone: form.elements.phone.value.trim(),
+    };
+    const previous = {
+      name: this.currentUser.name || "",
+      lastName: this.currentUser.lastName || "",
+      phone: this.currentUser.phone || "",
+    };
+    const url = `/Users/${this.currentUser.id}`;
+
+    this.updateCurrentUser(changes);
+    this.loadProfile();
+
+    if (navigator.onLine) {
+      try {
+        const user = await this.apiCall(url, { method: "PUT", body: changes, quiet: true });
+        if (user && typeof user === "object") this.updateCurrentUser(user);
+        this.loadProfile();
+        this.showMessage("Perfil actualizado ✔");
+        return;
+      } catch (error) {
+        const lostConnection = error instanceof ApiClient.NetworkError || error instanceof ApiClient.TimeoutError;
+        if (!lostConnection) {
+          this.updateCurrentUser(previous);
+          this.loadProfile();
+          if (error instanceof ApiClient.ValidationError && FormValidation.showServerErrors(form, error.fields)) return;
+          this.showMessage(`No se pudo guardar el perfil. ${this.getApiErrorMessage(error)}`, 4000);
+          return;
+        }
+        // Se perdió la conexión: se guarda en la cola
+      }
+    }
+
+    try {
+      // Si ya había una edición en cola, se conserva su "previous" (lo que tiene el servidor)
+      const queued = (await SyncQueue.getAll()).filter((action) => action.type === "profile-update");
+      for (const action of queued) {
+        await SyncQueue.remove(action.id);
+      }
+      await this.enqueueSyncAction({
+        type: "profile-update",
+        url,
+        method: "PUT",
+        body: changes,
+        previous: queued.length > 0 ? queued[0].previous : previous,
+      });
+      this.renderProfilePending();
+    } catch (error) {
+      this.updateCurrentUser(previous);
+      this.loadProfile();
+    }
+  },
+
+  /**
+   * El servidor rechazó un cambio de perfil en cola: se vuelve a lo que tenía,
+   * salvo que el usuario ya lo haya cambiado de nuevo.
+   */
+  revertQueuedProfileChange(action) {
+    if (!this.currentUser) return;
+
+    const changes = action.type === "avatar-upload"
+      ? { avatarUrl: action.previous.avatarUrl }
+      : action.previous;
+    const current = action.type === "avatar-upload"
+      ? { avatarUrl: action.preview }
+      : action.body;
+    const untouched = Object.keys(current).every((key) => (this.currentUser[key] || "") === (current[key] || ""));
+    if (!untouched) return;
+
+    this.updateCurrentUser(changes);
+    if (document.getElementById("profile-form")) this.loadProfile();
+  },
+
+  /**
+   * Cambiar la contraseña requiere conexión: la contraseña no se guarda en la cola.
+   */
+  async handlePasswordChangeSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const errors = this.formValidators["password-form"]();
+    if (Object.keys(errors).length > 0) return;
+
+    if (!navigator.onLine) {
+      this.showMessage("Cambiar la contraseña requiere conexión a internet.", 4000);
+      return;
+    }
+
+    const submit = form.querySelector("[type='submit']");
+    submit.disabled = true;
+
+    try {
+      const response = await this.apiCall("/auth/change-password", {
+        method: "POST",
+        body: {
+          currentPassword: form.elements.currentPassword.value,
+          newPassword: form.elements.newPassword.value,
+        },
+        quiet: true,
+      });
+      // La API puede cerrar las demás sesiones y devolver tokens nuevos para esta
+      if (response && response.token) {
+        this.setAuthData(response.token, response.user || this.currentUser, response.refreshToken);
+      }
+      form.reset();
+      this.renderPasswordRules("");
+      this.showMessage("Contraseña actualizada ✔");
+    } catch (error) {
+      if (error instanceof ApiClient.ValidationError && FormValidation.showServerErrors(form, error.fields)) return;
+      this.showMessage(`No se pudo cambiar la contraseña. ${this.getApiErrorMessage(error)}`, 4000);
+    } finally {
+      submit.disabled = false;
+    }
+  },
+
+  // ---- Foto de perfil ----
+  /**
+   * Abre el recorte cuadrado: arrastrar para mover, el control deslizante para acercar.
+   */
+  async openAvatarCropper(file) {
+    if (!file || !file.type.startsWith("image/")) {
+      this.showMessage("Elige una imagen.", 3000);
+      return;
+    }
+
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch (error) {
+      console.error("No se pudo leer la imagen:", error);
+      this.showMessage("No se pudo leer la imagen.", 3000);
+      return;
+    }
+
+    this.avatarCrop = { bitmap, zoom: 1, centerX: bitmap.width / 2, centerY: bitmap.height / 2 };
+
+    const modal = document.createElement("div");
+    modal.id = "avatar-crop-modal";
+    modal.className = "modal";
+    modal.innerHTML = `
+      <div class="modal__dialog avatar-crop" role="dialog" aria-modal="true" aria-labelledby="avatar-crop-title">
+        <h2 id="avatar-crop-title" class="avatar-crop__title">Recortar foto</h2>
+        <canvas class="avatar-crop__canvas" width="${this.avatarSize}" height="${this.avatarSize}"></canvas>
+        <label class="avatar-crop__zoom">
+          <span class="material-symbols-outlined">zoom_in</span>
+          <input type="range" min="1" max="4" step="0.01" value="1" aria-label="Acercar">
+        </label>
+        <div class="avatar-crop__actions">
+          <button type="button" class="button button--primary" data-avatar-save>Guardar foto</button>
+          <button type="button" class="button" data-avatar-cancel>Cancelar</button>
+        </div>
+      </div>
+    `;
+
+    const canvas = modal.querySelector("canvas");
+    modal.querySelector("input[type='range']").addEventListener("input", (e) => {
+      this.avatarCrop.zoom = Number(e.target.value);
+      this.drawAvatarCrop(canvas);
+    });
+
+    // Arrastrar: los px de pantalla se convierten a px de la imagen
+    let lastPoint = null;
+    canvas.addEventListener("pointerdown", (e) => {
+      lastPoint = { x: e.clientX, y: e.clientY };
+      canvas.setPointerCapture(e.pointerId);
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      if (!lastPoint) return;
+      const ratio = canvas.width / canvas.clientWidth / this.getAvatarCropScale();
+      this.avatarCrop.centerX -= (e.clientX - lastPoint.x) * ratio;
+      this.avatarCrop.centerY -= (e.clientY - lastPoint.y) * ratio;
+      lastPoint = { x: e.clientX, y: e.clientY };
+      this.drawAvatarCrop(canvas);
+    });
+    canvas.addEventListener("pointerup", () => (lastPoint = null));
+    canvas.addEventListener("pointercancel", () => (lastPoint = null));
+
+    modal.querySelector("[data-avatar-cancel]").addEventListener("click", () => this.closeAvatarCropper());
+    modal.querySelector("[data-avatar-save]").addEventListener("click", async (e) => {
+      e.target.disabled = true;
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", this.avatarQuality));
+      this.closeAvatarCropper();
+      if (blob) this.uploadAvatar(blob);
+    });
+
+    document.body.appendChild(modal);
+    this.drawAvatarCrop(canvas);
+  },
+
+  /**
+   * Escala que hace que la imagen cubra el recuadro, por el zoom elegido.
+   */
+  getAvatarCropScale() {
+    const { bitmap, zoom } = this.avatarCrop;
+    return Math.max(this.avatarSize / bitmap.width, this.avatarSize / bitmap.height) * zoom;
+  },
+
+  drawAvatarCrop(canvas) {
+    const crop = this.avatarCrop;
+    const scale = this.getAvatarCropScale();
+    const half = this.avatarSize / 2 / scale;
+
+    // El recorte no puede salirse de la imagen
+    crop.centerX = Math.min(Math.max(crop.centerX, half), crop.bitmap.width - half);
+    crop.centerY = Math.min(Math.max(crop.centerY, half), crop.bitmap.height - half);
+
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(
+      crop.bitmap,
+      crop.centerX - half, crop.centerY - half, half * 2, half * 2,
+      0, 0, canvas.width, canvas.height
+    );
+  },
+
+  closeAvatarCropper() {
+    const modal = document.getElementById("avatar-crop-modal");
+    if (modal) modal.remove();
+    if (this.avatarCrop) this.avatarCrop.bitmap.close();
+    this.avatarCrop = null;
+  },
+
+  /**
+   * Sube la foto recortada. Se muestra de inmediato (data: URL en currentUser);
+   * sin conexión la subida queda en la cola.
+   */
+  async uploadAvatar(blob) {
+    const url = `/Users/${this.currentUser.id}/avatar`;
+    const previous = { avatarUrl: this.currentUser.avatarUrl || null };
+    const preview = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsDataURL(blob);
+    });
+    const multipart = {
+      fields: {},
+      files: [{ field: "avatar", blob, filename: "avatar.jpg" }],
+    };
+
+    this.updateCurrentUser({ avatarUrl: preview });
+
+    if (navigator.onLine) {
+      try {
+        const response = await this.uploadWithProgress(url, SyncQueue.buildFormData(multipart), () => {});
+        let user = {};
+        try {
+          user = JSON.parse(response);
+        } catch (error) {
+          /* Sin cuerpo JSON: se queda la vista previa */
+        }
+        if (user && user.avatarUrl) this.updateCurrentUser({ avatarUrl: user.avatarUrl });
+        this.showMessage("Foto de perfil actualizada ✔");
+        return;
+      } catch (error) {
+        if (!this.isQueueableUploadError(error)) {
+          console.error("Error subiendo la foto de perfil:", error);
+          this.updateCurrentUser(previous);
+          this.showMessage(`No se pudo subir la foto (${error.status}).`, 4000);
+          return;
+        }
+        // Sin conexión (incluido el 503 del Service Worker) o sin sesión: se guarda para reenviar
+      }
+    }
+
+    try {
+      const queued = (await SyncQueue.getAll()).filter((action) => action.type === "avatar-upload");
+      for (const action of queued) {
+        await SyncQueue.remove(action.id);
+      }
+      await this.enqueueSyncAction({
+        type: "avatar-upload",
+        url,
+        method: "POST",
+        multipart,
+        preview,
+        previous: queued.length > 0 ? queued[0].previous : previous,
+      });
+      this.renderProfilePending();
+    } catch (error) {
+      this.updateCurrentUser(previous);
+    }
+  },
+
+  // --- NOTIFICACIONES ---
+  notificationIcons: {
+    "new-report": "add_task",
+    "status-change": "published_with_changes",
+    "sync-failure": "sync_problem",
+  },
+  // Reportes del usuario que se revisan en busca de cambios de estado (los más recientes)
+  maxTouchedReports: 20,
+  // Como mucho una revisión cada 5 minutos entre todas las páginas (meta "notificationsCheckedAt")
+  notificationCheckInterval: 5 * 60 * 1000,
+  checkingNotifications: false,
+
+  setupNotifications() {
+    NotificationStore.subscribe(() => {
+      this.updateNotificationBadge();
+      if (window.location.pathname.endsWith("Notificaciones.html")) this.loadNotifications();
+    });
+    this.updateNotificationBadge();
+    this.checkReportNotifications();
+  },
+
+  async updateNotificationBadge() {
+    const badges = document.querySelectorAll("[data-notification-badge]");
+    if (badges.length === 0) return;
+
+    const count = await NotificationStore.unreadCount().catch(() => 0);
+    badges.forEach((badge) => {
+      badge.textContent = count;
+      badge.hidden = count === 0;
+    });
+  },
+
+  /**
+   * Guarda el último estado conocido de un reporte en el que trabajó el usuario.
+   * Los cambios posteriores que encuentre checkReportNotifications son de otras personas.
+   * @param {object} options - { touch } false solo actualiza reportes ya registrados.
+   */
+  async rememberReportEstado(reportId, estado, { touch = true } = {}) {
+    if (!reportId || !estado) return;
+    try {
+      const touched = (await IDB.getMeta("touchedReports")) || {};
+      if (!touch && !touched[reportId]) return;
+
+      touched[reportId] = { estado, touchedAt: touch ? Date.now() : touched[reportId].touchedAt };
+      await IDB.setMeta("touchedReports", touched);
+    } catch (error) {
+      /* No crítico */
+    }
+  },
+
+  /**
+   * Genera notificaciones de reportes nuevos y de cambios de estado hechos por otros
+   * en reportes que el usuario tocó. Se ejecuta al abrir una página (si pasó
+   * notificationCheckInterval desde la última revisión) y al volver la conexión.
+   * @param {object} [options] - { force } revisa aunque no haya pasado el intervalo.
+   */
+  async checkReportNotifications({ force = false } = {}) {
+    if (!this.currentUser || !navigator.onLine || this.checkingNotifications) return;
+    this.checkingNotifications = true;
+
+    try {
+      const checkedAt = await IDB.getMeta("notificationsCheckedAt");
+      if (!force && checkedAt && Date.now() - checkedAt < this.notificationCheckInterval) return;
+      await IDB.setMeta("notificationsCheckedAt", Date.now());
+
+      const reports = await this.checkNewReports();
+      await this.checkTouchedReports(reports);
+    } catch (error) {
+      console.error("Error al revisar notificaciones:", error);
+    } finally {
+      this.checkingNotifications = false;
+    }
+  },
+
+  /**
+   * @returns {Promise<object[]>} - Los reportes recientes consultados (los reutiliza checkTouchedReports).
+   */
+  async checkNewReports() {
+    const query = { ...this.reportQueryDefaults, pageSize: 50 };
+    const response = await this.apiCall(this.buildReportsEndpoint(query), { quiet: true });
+    const { reports } = this.normalizeReportsResponse(response, query);
+
+    const lastSeen = await IDB.getMeta("lastReportSeenAt");
+    const newest = reports.reduce(
+      (max, report) => Math.max(max, new Date(report.createdAt || 0).getTime()),
+      lastSeen || 0
+    );
+
+    // Primera revisión: solo se marca el punto de partida
+    if (lastSeen !== undefined) {
+      const myId = String(this.currentUser.id);
+      const fresh = reports.filter((report) =>
+        new Date(report.createdAt || 0).getTime() > lastSeen &&
+        String(report.userId ?? report.user?.id) !== myId
+      );
+
+      for (const report of fresh) {
+        const tipo = report.service?.type || "Sin servicio";
+        await NotificationStore.add({
+          id: `new-report:${report.id}`,
+          type: "new-report",
+          title: "Nuevo Reporte Recibido",
+          message: `Se ha creado el reporte #${report.id}: "${tipo}${report.location ? ` en ${report.location}` : ""}".`,
+          reportId: String(report.id),
+          createdAt: report.createdAt,
+        });
+      }
+    }
+
+    await IDB.setMeta("lastReportSeenAt", newest);
+    return reports;
+  },
+
+  /**
+   * Compara el estado guardado de los reportes tocados con el del servidor.
+   * @param {object[]} recentReports - Reportes ya descargados: no se vuelven a pedir.
+   */
+  async checkTouchedReports(recentReports = []) {
+    const touched = (await IDB.getMeta("touchedReports")) || {};
+
+    // Con cambios de estado propios sin sincronizar, la diferencia no es de otra persona
+    const pending = new Set(
+      (await SyncQueue.getAll())
+        .filter((action) => action.type === "status-change")
+        .map((action) => String(action.reportId))
+    );
+
+    const reportIds = Object.keys(touched)
+      .sort((a, b) => touched[b].touchedAt - touched[a].touchedAt)
+      .slice(0, this.maxTouchedReports);
+
+    const toCheck = reportIds.filter((reportId) => !pending.has(reportId));
+    const current = await this.fetchReportsById(toCheck, recentReports);
+
+    for (const reportId of toCheck) {
+      const report = current.get(reportId);
+      // Reporte eliminado: se deja de vigilar
+      if (report === null) {
+        delete touched[reportId];
+        continue;
+      }
+      if (!report || !report.estado || report.estado === touched[reportId].estado) continue;
+
+      await NotificationStore.add({
+        id: `status-change:${reportId}:${report.updatedAt || report.estado}`,
+        type: "status-change",
+        title: "Cambio de estado",
+        message: `El reporte #${reportId} pasó de "${touched[reportId].estado}" a "${report.estado}".`,
+        reportId,
+      });
+      touched[reportId].estado = report.estado;
+    }
+
+    // Solo se conservan los reportes revisados
+    const kept = {};
+    reportIds.forEach((reportId) => {
+      if (touched[reportId]) kept[reportId] = touched[reportId];
+    });
+    await IDB.setMeta("touchedReports", kept);
+  },
+
+  /**
+   * Estado actual de varios reportes con una sola consulta (/Reports?ids=…).
+   * Los que no vengan en la respuesta (el servidor puede ignorar ids) se piden uno por uno.
+   * @param {string[]} reportIds
+   * @param {object[]} [known] - Reportes ya descargados.
+   * @returns {Promise<Map<string, object|null>>} - null si el reporte ya no existe (404);
+   *   sin entrada si no se pudo consultar.
+   */
+  async fetchReportsById(reportIds, known = []) {
+    const found = new Map();
+    const collect = (reports) => reports.forEach((report) => {
+      if (reportIds.includes(String(report.id))) found.set(String(report.id), report);
+    });
+    collect(known);
+
+    let missing = reportIds.filter((reportId) => !found.has(reportId));
+    if (missing.length > 1) {
+      try {
+        const params = new URLSearchParams({ ids: missing.join(","), limit: missing.length });
+        const response = await this.apiCall(`/Reports?${params.toString()}`, { quiet: true });
+        collect(Array.isArray(response) ? response : response.data || response.reports || []);
+      } catch (error) {
+        return found;
+      }
+      missing = missing.filter((reportId) => !found.has(reportId));
+    }
+
+    for (const reportId of missing) {
+      try {
+        found.set(reportId, await this.apiCall(`/Reports/${reportId}`, { quiet: true }));
+      } catch (error) {
+        if (error.status === 404) found.set(reportId, null);
+      }
+    }
+    return found;
+  },
+
+  /**
+   * Feed de Notificaciones.html agrupado por día.
    */
-  async handleRegisterSubmit(event) {
-    event.preventDefault();
-    const userData = {
-      name: document.getElementById("name").value,
-      lastName: document.getElementById("lastName").value,
-      email: document.getElementById("email").value,
-      password: document.getElementById("password").value,
-      isAdmin: true,
-      rol: document.getElementById("rol").value
-    };
-    this.showMessage("Creando cuenta...");
+  async loadNotifications() {
+    const list = document.getElementById("notification-list");
+    if (!list) return;
+
+    let notifications = [];
     try {
-      const result = await this.registerUser(userData);
-      if (result.success) {
-        if (result.autoLogin) {
-          this.showMessage("¡Cuenta creada e iniciada sesión!");
-          setTimeout(() => (window.location.href = "Home.html"), 1000);
-        } else {
-          this.showMessage("¡Cuenta creada! Ahora puedes iniciar sesión.");
-          setTimeout(() => (window.location.href = "Login.html"), 2000);
-        }
-      }
+      notifications = await NotificationStore.getAll();
     } catch (error) {
-      // El error ya se muestra en registerUser
+      console.error("Error al cargar notificaciones:", error);
     }
-  },
-
-  // --- FUNCIONES DE RENDERIZADO ---
-  async loadReports() {
-    try {
-      const reports = await this.apiCall("/Reports");
-      const tableBody = document.getElementById("reports-table-body");
-      if (!tableBody) return;
-
-      tableBody.innerHTML = "";
-
-      reports.forEach((report) => {
-        const tipoServicio = report.service?.type || "Sin servicio";
-
-        const row = document.createElement("tr");
-        row.className = "reports-table__body-row";
 
-        row.innerHTML = `
-        <td class="reports-table__cell reports-table__cell--type">
-          <span class="material-symbols-outlined text-blue-500">
-            ${this.getIconForType(tipoServicio)}
-          </span>
-          ${this.escapeHtml(tipoServicio)}
-        </td>
+    const markAll = document.getElementById("notifications-mark-all");
+    if (markAll) markAll.disabled = !notifications.some((item) => !item.read);
 
-        <td class="reports-table__cell">
-          ${this.escapeHtml(report.location || "")}
-        </td>
+    if (notifications.length === 0) {
+      list.innerHTML = `<p class="notification-list__empty">No tienes notificaciones.</p>`;
+      return;
+    }
 
-        <td class="reports-table__cell">
-          <span class="badge badge--${this.getStatusClass(report.estado)}">
-            ${this.escapeHtml(report.estado)}
-          </span>
-        </td>
+    const groups = [];
+    notifications.forEach((notification) => {
+      const label = this.formatDayLabel(notification.createdAt);
+      const group = groups[groups.length - 1];
+      if (group && group.label === label) {
+        group.items.push(notification);
+      } else {
+        groups.push({ label, items: [notification] });
+      }
+    });
 
-        <td class="reports-table__cell">
-          ${report.createdAt ? new Date(report.createdAt).toLocaleDateString() : ""}
-        </td>
+    list.innerHTML = groups
+      .map((group) => `
+        <h3 class="notification-list__day">${this.escapeHtml(group.label)}</h3>
+        ${group.items.map((notification) => this.renderNotification(notification)).join("")}
+      `)
+      .join("");
+  },
 
-        <td class="reports-table__cell reports-table__cell--link">
-          <a href="DetalleReporte.html?id=${report.id}">Ver Detalles</a>
-        </td>
-      `;
+  renderNotification(notification) {
+    const href = notification.url ||
+      (notification.reportId ? `DetalleReporte.html?id=${encodeURIComponent(notification.reportId)}` : "");
 
-        tableBody.appendChild(row);
-      });
+    return `
+      <a class="notification-item${notification.read ? "" : " notification-item--unread"}"
+        href="${href || "#"}" data-notification-id="${this.escapeHtml(notification.id)}">
+        <div class="notification__icon">
+          <span class="material-symbols-outlined">${this.notificationIcons[notification.type] || "notifications"}</span>
+        </div>
+        <div class="notification__content">
+          <h3 class="notification__title">${this.escapeHtml(notification.title)}</h3>
+          <p class="notification__message">${this.escapeHtml(notification.message)}</p>
+          <p class="notification__timestamp">${this.formatRelativeTime(notification.createdAt)}</p>
+        </div>
+      </a>
+    `;
+  },
 
+  /**
+   * Marca la notificación como leída y abre su reporte (o la página indicada).
+   */
+  async openNotification(element) {
+    try {
+      await NotificationStore.markRead(element.dataset.notificationId);
     } catch (error) {
-      console.error("Error al cargar reportes:", error);
+      console.error("Error al marcar notificación:", error);
     }
+
+    const href = element.getAttribute("href");
+    if (href && href !== "#") window.location.href = href;
   },
 
-  // ---- Cargar evidencias del reporte ----
-  async loadReportEvidence(reportId) {
-    try {
-      // Llamada correcta al endpoint de tu API
-      const response = await this.apiCall(`/Reports/${reportId}/evidencias`);
+  /**
+   * Borra las notificaciones y el seguimiento de reportes del usuario que cierra sesión.
+   */
+  clearNotificationData() {
+    return Promise.all([
+      NotificationStore.clear(),
+      IDB.deleteMeta("touchedReports"),
+      IDB.deleteMeta("lastReportSeenAt"),
+      IDB.deleteMeta("notificationsCheckedAt"),
+    ]).catch(() => {
+      /* No crítico */
+    });
+  },
 
-      const evidencias = response.evidencias || [];
+  // --- NOTIFICACIONES PUSH ---
+  // La clave pública VAPID sale de config.json (vapidKeyUrl): cada entorno usa la de su servidor
+  pushEvents: [
+    { key: "new-report", label: "Reportes nuevos" },
+    { key: "status-change", label: "Cambios de estado en mis reportes" },
+  ],
 
-      const gallery = document.getElementById("evidence-gallery");
-      if (!gallery) return;
+  isPushSupported() {
+    return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+  },
 
-      gallery.innerHTML = "";
+  async getPushSubscription() {
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+  },
 
-      if (evidencias.length === 0) {
-        gallery.innerHTML = "<p>No hay evidencias adjuntas.</p>";
-        return;
-      }
+  /**
+   * Preferencias guardadas en IndexedDB; el servidor las recibe al suscribirse y al guardarlas.
+   * Por defecto: los tipos de servicio del rol y todos los eventos.
+   */
+  async getPushPreferences() {
+    const saved = await IDB.getMeta("pushPreferences").catch(() => undefined);
+    if (saved) return saved;
 
-      evidencias.forEach(url => {
-        // Construcción del enlace completo para Render
-        const fullUrl = `https://ciudad-conectada.onrender.com${url}`;
+    const scope = this.getServiceScope();
+    return {
+      types: scope || this.serviceTypes.map((type) => type.key),
+      events: this.pushEvents.map((pushEvent) => pushEvent.key),
+    };
+  },
 
-        const img = document.createElement("img");
-        img.src = fullUrl;
-        img.alt = "Evidencia";
-        img.classList.add("evidence-thumb");
+  /**
+   * Tarjeta "Notificaciones Push" de Perfil.html.
+   */
+  async setupPushSettings() {
+    const toggle = document.getElementById("push-toggle");
+    if (!toggle) return;
 
-        gallery.appendChild(img);
-      });
+    if (!this.isFeatureEnabled("push")) {
+      document.getElementById("push-settings").hidden = true;
+      return;
+    }
 
-    } catch (error) {
-      console.error("Error cargando evidencias:", error);
+    if (!this.isPushSupported()) {
+      this.setElementText("push-status", "Este navegador no soporta notificaciones push.");
+      return;
     }
-  },
 
-  async loadReportDetails() {
-    const reportId = new URLSearchParams(window.location.search).get("id");
-    if (!reportId) return;
+    const preferences = await this.getPushPreferences();
+    const scope = this.getServiceScope();
+    const checkbox = (name, value, label, checked) => `
+      <label><input type="checkbox" name="${name}" value="${value}" ${checked ? "checked" : ""}> ${this.escapeHtml(label)}</label>
+    `;
 
-    try {
-      const report = await this.apiCall(`/Reports/${reportId}`);
-      if (!report) return;
+    document.getElementById("push-types").innerHTML = this.serviceTypes
+      .filter((type) => !scope || scope.includes(type.key))
+      .map((type) => checkbox("push-type", type.key, type.label, preferences.types.includes(type.key)))
+      .join("");
+    document.getElementById("push-events").innerHTML = this.pushEvents
+      .map((pushEvent) => checkbox("push-event", pushEvent.key, pushEvent.label, preferences.events.includes(pushEvent.key)))
+      .join("");
 
-      const tipoServicio = report.service?.type || "Sin servicio";
+    await this.renderPushStatus();
+  },
 
-      this.setElementText(
-        "report-title",
-        report.service ? `${report.service.type || ""}`.trim() : "-"
-      );
-      this.setElementText("report-details-status", report.estado);
-      this.setElementText("report-title", tipoServicio);
-      this.setElementText("report-location", report.location || "-");
-      this.setElementText(
-        "report-date",
-        report.createdAt ? new Date(report.createdAt).toLocaleDateString() : "-"
-      );
-      this.setElementText(
-        "report-user",
-        report.user ? `${report.user.name} ${report.user.lastName || ""}`.trim() : "-"
-      );
+  async renderPushStatus() {
+    const toggle = document.getElementById("push-toggle");
+    const subscription = await this.getPushSubscription().catch(() => null);
 
-      this.loadReportEvidence(reportId);
+    let status = "Las notificaciones push están desactivadas.";
+    if (Notification.permission === "denied") {
+      status = "Bloqueaste las notificaciones para este sitio. Actívalas en la configuración del navegador.";
+    } else if (subscription) {
+      status = "Recibirás notificaciones en este dispositivo.";
+    }
 
-      this.setElementText("report-description", report.description || "-");
+    this.setElementText("push-status", status);
+    toggle.textContent = subscription ? "Desactivar" : "Activar";
+    toggle.disabled = Notification.permission === "denied";
+    document.getElementById("push-preferences").disabled = !subscription;
+  },
+
+  async togglePushSubscription() {
+    const toggle = document.getElementById("push-toggle");
+    toggle.disabled = true;
 
+    try {
+      const subscription = await this.getPushSubscription();
+      if (subscription) {
+        await this.unsubscribePush(subscription);
+      } else {
+        await this.subscribePush();
+      }
     } catch (error) {
-      console.error("Error al cargar detalles del reporte:", error);
+      console.error("Error al cambiar la suscripción push:", error);
     }
+
+    await this.renderPushStatus();
   },
 
-  async handleStatusChange() {
-    const reportId = new URLSearchParams(window.location.search).get("id");
-    if (!reportId) {
-      this.showMessage("ID de reporte no encontrado.");
+  async subscribePush() {
+    if (!navigator.onLine) {
+      this.showMessage("Necesitas conexión para activar las notificaciones push.");
       return;
     }
 
-    const currentStatus = document.getElementById("report-details-status").innerText;
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") {
+      this.showMessage("No se concedió permiso para mostrar notificaciones.");
+      return;
+    }
 
-    const nextStatus =
-      currentStatus === "Enviado" ? "En Progreso" :
-        currentStatus === "En Progreso" ? "Resuelto" : "Resuelto";
+    const keyResponse = await fetch(this.config.vapidKeyUrl);
+    if (!keyResponse.ok) throw new Error(`No se pudo obtener la clave VAPID: ${keyResponse.status}`);
+    const { publicKey } = await keyResponse.json();
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: this.urlBase64ToUint8Array(publicKey),
+    });
 
-    // Si NO hay internet → guardar en cola
-    if (!navigator.onLine) {
-      this.enqueueSyncAction({
-        url: `/Reports/${reportId}/estado`,
-        method: "PUT",
-        body: { estado: nextStatus }
+    const preferences = await this.getPushPreferences();
+    try {
+      await this.apiCall("/push/subscriptions", {
+        method: "POST",
+        body: { subscription: subscription.toJSON(), preferences },
       });
+    } catch (error) {
+      // Sin registro en el servidor la suscripción no sirve: deshacerla
+      await subscription.unsubscribe();
+      throw error;
+    }
 
-      document.getElementById("report-details-status").innerText = nextStatus;
+    await IDB.setMeta("pushPreferences", preferences);
+    this.showMessage("Notificaciones push activadas ✔");
+  },
 
-      this.showMessage("Estado guardado offline ✔ Se sincronizará cuando vuelva el internet.");
-      return;
+  async unsubscribePush(subscription) {
+    try {
+      await this.apiCall("/push/subscriptions", {
+        method: "DELETE",
+        body: { endpoint: subscription.endpoint },
+      });
+    } catch (error) {
+      /* El servidor descarta la suscripción cuando el envío falle */
     }
+    await subscription.unsubscribe();
+    this.showMessage("Notificaciones push desactivadas.");
+  },
+
+  /**
+   * Guarda los tipos de servicio y eventos elegidos y los envía al servidor.
+   */
+  async savePushPreferences() {
+    const checked = (name) =>
+      Array.from(document.querySelectorAll(`[name='${name}']:checked`)).map((input) => input.value);
+    const preferences = { types: checked("push-type"), events: checked("push-event") };
+
+    await IDB.setMeta("pushPreferences", preferences).catch(() => {
+      /* No crítico */
+    });
+
+    const subscription = await this.getPushSubscription().catch(() => null);
+    if (!subscription) return;
 
-    // Si hay internet → hacer la petición normal
     try {
-      await this.apiCall(`/Reports/${reportId}/estado`, {
+      await this.apiCall("/push/subscriptions", {
         method: "PUT",
-        body: { estado: nextStatus }
+        body: { endpoint: subscription.endpoint, preferences },
       });
+      this.showMessage("Preferencias de notificación guardadas ✔");
+    } catch (error) {
+      // apiCall ya mostró el error; se vuelven a enviar al cambiarlas de nuevo
+      console.error("Error al guardar preferencias push:", error);
+    }
+  },
 
-      this.showMessage("Estado actualizado ✔");
+  /**
+   * Al cerrar sesión: este dispositivo deja de recibir avisos del usuario anterior.
+   */
+  clearPushSubscription() {
+    const tasks = [IDB.deleteMeta("pushPreferences")];
+    if (this.isPushSupported()) {
+      tasks.push(
+        this.getPushSubscription().then((subscription) => subscription && subscription.unsubscribe())
+      );
+    }
 
-      document.getElementById("report-details-status").innerText = nextStatus;
+    return Promise.all(tasks).catch(() => {
+      /* No crítico */
+    });
+  },
 
-    } catch (error) {
-      console.error("Error actualizando estado:", error);
-      this.showMessage("Error al cambiar estado");
+  /**
+   * Muestra un push de prueba sin servidor (desarrollo):
+   * App.simulatePush({ type: "new-report", reportId: "12", title: "Nuevo reporte", body: "Fuga de agua" })
+   */
+  simulatePush(payload) {
+    if (!navigator.serviceWorker || !navigator.serviceWorker.controller) {
+      console.warn("No hay Service Worker activo para simular el push.");
+      return;
     }
+    navigator.serviceWorker.controller.postMessage({ type: "SIMULATE_PUSH", payload });
   },
 
+  urlBase64ToUint8Array(base64String) {
+    const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+    const raw = atob(base64);
+    return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+  },
 
+  /**
+   * "Hoy", "Ayer" o la fecha completa.
+   */
+  formatDayLabel(date) {
+    const day = new Date(date);
+    const today = new Date();
+    const yesterday = new Date();
+    yesterday.setDate(today.getDate() - 1);
 
-  getIconForType(type) {
-    if (!type) return "help";
+    if (day.toDateString() === today.toDateString()) return "Hoy";
+    if (day.toDateString() === yesterday.toDateString()) return "Ayer";
+    return day.toLocaleDateString("es-MX", { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+  },
 
-    const t = type.toLowerCase();
+  /**
+   * "Hace 2 minutos", "Hace 3 horas" o la hora para fechas anteriores.
+   */
+  formatRelativeTime(date) {
+    const elapsed = Math.max(0, Date.now() - new Date(date).getTime());
+    const minutes = Math.floor(elapsed / 60000);
 
-    if (t.includes("agua")) return "water_drop";
-    if (t.includes("luz")) return "bolt";
-    if (t.includes("infra")) return "construction";
-
-    return "report";
-  },
-
-  /* // --- FUNCIONES DE NOTAS ---
- 
-  getAuthData() {
-   const user = JSON.parse(localStorage.getItem("currentUser"));
-   const token = localStorage.getItem("authToken");
-   return user ? { user, token } : null;
- },
- 
- async handleNoteSubmit(event) {
-   event.preventDefault();
- 
-   const reportId = new URLSearchParams(window.location.search).get("id");
-   const content = document.getElementById("note-text").value;
- 
-   if (!content.trim()) {
-     this.showMessage("La nota no puede estar vacía.");
-     return;
-   }
- 
-   const auth = this.getAuthData();
-   if (!auth || !auth.user) {
-     this.showMessage("No se encontró usuario autenticado.");
-     return;
-   }
- 
-   try {
-     await this.apiCall(`/reports/${reportId}/notas`, {
-       method: "POST",
-       body: {
-         userId: auth.user.id,
-         description: content
-       }
-     });
- 
-     this.showMessage("Nota agregada correctamente.");
-     document.getElementById("note-text").value = "";
-     this.loadNotes(reportId);
- 
-   } catch (error) {
-     console.error("Error agregando nota:", error);
-     this.showMessage("Error al agregar la nota.");
-   }
- },
- 
- async loadNotes(reportId) {
-   try {
-     const notas = await this.apiCall(`/reports/${reportId}/notas`);
- 
-     const notesContainer = document.getElementById("notes-list");
-     if (!notesContainer) return;
- 
-     notesContainer.innerHTML = "";
- 
-     if (!notas || notas.length === 0) {
-       notesContainer.innerHTML = "<p class='no-notes'>No hay notas aún.</p>";
-       return;
-     }
- 
-     notas.forEach(note => {
-       const div = document.createElement("div");
-       div.classList.add("note-item");
- 
-       div.innerHTML = `
-         <p class="note-text">${this.escapeHtml(note.description)}</p>
-         <span class="note-date">${new Date(note.createdAt).toLocaleString()}</span>
-       `;
- 
-       notesContainer.appendChild(div);
-     });
- 
-   } catch (error) {
-     console.error("Error al cargar notas:", error);
-   }
- },
-  */
+    if (minutes < 1) return "Hace un momento";
+    if (minutes < 60) return `Hace ${minutes} minuto${minutes === 1 ? "" : "s"}`;
 
-  loadProfile() {
-    if (!this.currentUser) return;
-    const fullname =
-      `${this.currentUser.name || ""} ${this.currentUser.lastName || ""
-        }`.trim() || "Usuario";
-    this.setElementText("profile-name", fullname);
-    this.setElementText("profile-email", this.currentUser.email || "");
-    this.setElementText("profile-rol", this.currentUser.rol || "");
-    this.setElementValue("name", this.currentUser.name || "");
-    this.setElementValue("lastName", this.currentUser.lastName || "");
-    this.setElementValue("email", this.currentUser.email || "");
-    this.setElementValue("rol", this.currentUser.rol || "")
-  },
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `Hace ${hours} hora${hours === 1 ? "" : "s"}`;
 
-  loadNotifications() {
-    // Aquí iría la lógica para cargar notificaciones desde localStorage o la API
-    console.log("Cargando notificaciones...");
+    return new Date(date).toLocaleTimeString("es-MX", { hour: "numeric", minute: "2-digit" });
   },
 
 
@@ -652,6 +4870,31 @@ window.App = {
     if (el) el.value = value;
   },
 
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  },
+
+  getCurrentUserName() {
+    if (!this.currentUser) return "";
+    return `${this.currentUser.name || ""} ${this.currentUser.lastName || ""}`.trim();
+  },
+
+  /**
+   * Convierte milisegundos en un texto corto: "3 d 4 h", "2 h 15 min", "5 min".
+   */
+  formatDuration(ms) {
+    const minutes = Math.max(0, Math.floor(ms / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+
+    if (days > 0) return `${days} d ${hours} h`;
+    if (hours > 0) return `${hours} h ${mins} min`;
+    return `${mins} min`;
+  },
+
   escapeHtml(unsafe) {
     if (!unsafe && unsafe !== 0) return "";
     return String(unsafe).replace(/[&<>"'`=\/]/g, function (c) {
@@ -669,20 +4912,20 @@ window.App = {
   },
 
   setupOnlineOfflineBanner() {
-  const statusMessage = document.getElementById("status-message");
+  const updateOnlineStatus = (event) => {
+    this.renderConnectionBanner();
 
-  const updateOnlineStatus = () => {
     if (navigator.onLine) {
-      statusMessage.classList.remove("offline");
-      statusMessage.textContent = "";
+      if (this.isPublicPage()) return;
 
-      // Cuando regresa internet, lanza sincronización
+      // Cuando regresa internet (evento "online"), lanza sincronización y revisa cambios
+      // sin esperar; al abrir la página se respeta el intervalo de las notificaciones
+      const networkRestored = Boolean(event);
       console.log("Conexión restaurada → procesando cola…");
-      this.processSyncQueue();
+      this.processSyncQueue({ networkRestored });
+      this.checkReportNotifications({ force: networkRestored });
 
     } else {
-      statusMessage.classList.add("offline");
-      statusMessage.textContent = "Sin conexión a internet";
       console.log("Modo offline activo");
     }
   };
@@ -694,24 +4937,76 @@ window.App = {
 },
 
 
-  getStatusClass(estado) {
-    switch (estado) {
-      case "Resuelto":
-        return "resolved";
-      case "En Progreso":
-        return "progress";
-      default:
-        return "pending";
+  /**
+   * Banner superior: sin conexión y/o datos guardados (con su fecha).
+   * Los datos de la cache siguen en pantalla aunque vuelva la conexión, así que
+   * el aviso se mantiene hasta recargar.
+   */
+  renderConnectionBanner() {
+    const statusMessage = document.getElementById("status-message");
+    if (!statusMessage) return;
+
+    let text = "";
+    if (this.staleDataAt) {
+      const date = this.staleDataAt.toLocaleString("es-MX", { dateStyle: "medium", timeStyle: "short" });
+      text = this.staleDataOffline
+        ? `Offline — datos del ${date}`
+        : `El servidor tarda en responder — datos del ${date}`;
+    } else if (!navigator.onLine) {
+      text = "Sin conexión a internet";
+    }
+
+    statusMessage.classList.toggle("offline", text !== "");
+    statusMessage.classList.toggle("status-message--stale", Boolean(this.staleDataAt));
+    statusMessage.textContent = text;
+
+    if (this.staleDataAt && navigator.onLine) {
+      const reload = document.createElement("button");
+      reload.className = "status-message__action";
+      reload.textContent = "Actualizar";
+      reload.addEventListener("click", () => window.location.reload());
+      statusMessage.appendChild(reload);
     }
   },
 
+  getStatusClass(estado) {
+    const state = this.statusWorkflow.states[estado];
+    return state ? state.badge : "unknown";
+  },
+
   // --- SERVICE WORKER ---
   registerSW() {
     if ("serviceWorker" in navigator) {
+      // Cuando la nueva versión toma el control, todas las pestañas recargan juntas.
+      // En la primera instalación no había versión anterior: no hace falta recargar.
+      const hadController = Boolean(navigator.serviceWorker.controller);
+      let reloading = false;
+      navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        window.location.reload();
+      });
+
+      // Actualización solo de archivos (sin cambios en sw.js): la avisa el Service Worker
+      navigator.serviceWorker.addEventListener("message", (event) => {
+        if (!event.data) return;
+        if (event.data.type === "UPDATE_AVAILABLE") {
+          this.showUpdatePrompt({ type: "APPLY_UPDATE" }, navigator.serviceWorker.controller);
+        }
+        if (event.data.type === "UPDATE_APPLIED" && !reloading) {
+          reloading = true;
+          window.location.reload();
+        }
+      });
+
       navigator.serviceWorker
         .register("/sw.js")
         .then((registration) => {
           console.log("Service Worker registrado:", registration);
+          this.watchForUpdates(registration);
+          if (navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: "CHECK_FOR_UPDATES" });
+          }
         })
         .catch((error) => {
           console.error("Error al registrar el Service Worker:", error);
@@ -719,64 +5014,55 @@ window.App = {
     }
   },
 
-  
-};
-
-// Inicializar la aplicación cuando el DOM esté listo
-document.addEventListener("DOMContentLoaded", () => {
-  App.init();
-});
-
-document.addEventListener("DOMContentLoaded", () => {
-
-  const searchInput = document.getElementById("search-input");
-  const filterStatusBtn = document.getElementById("filter-status-btn");
-  const filterStatusDropdown = document.getElementById("filter-status-dropdown");
-
-  let currentStatus = "";
-  let currentKeyword = "";
-
-  // Si NO existe el buscador, significa que NO estamos en Home.html
-  if (!searchInput || !filterStatusBtn || !filterStatusDropdown) return;
-
-  // Abrir / cerrar menú
-  filterStatusBtn.addEventListener("click", () => {
-    filterStatusDropdown.style.display =
-      filterStatusDropdown.style.display === "none" ? "block" : "none";
-  });
-
-  // Selección del estado
-  filterStatusDropdown.addEventListener("click", (e) => {
-    const status = e.target.innerText.trim();
-    currentStatus = status === "Todos" ? "" : status;
-    filterStatusDropdown.style.display = "none";
-    filterReports();
-  });
-
-  // Buscar por texto
-  searchInput.addEventListener("input", (e) => {
-    currentKeyword = e.target.value.toLowerCase();
-    filterReports();
-  });
+  /**
+   * Muestra el aviso de actualización cuando hay una versión nueva esperando.
+   */
+  watchForUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdatePrompt({ type: "SKIP_WAITING" }, registration.waiting);
+    }
 
-  function filterReports() {
-    const rows = document.querySelectorAll("#reports-table-body tr");
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) {
+          this.showUpdatePrompt({ type: "SKIP_WAITING" }, worker);
+        }
+      });
+    });
+  },
 
-    rows.forEach(row => {
+  /**
+   * Aviso "Nueva versión disponible". Al aceptar se envía message al Service Worker:
+   * SKIP_WAITING a la versión nueva que espera, o APPLY_UPDATE si solo cambiaron archivos.
+   */
+  showUpdatePrompt(message, worker) {
+    if (!worker) return;
+    if (document.getElementById("update-prompt")) return;
 
-      const type = row.children[0].innerText.toLowerCase();
-      const location = row.children[1].innerText.toLowerCase();
-      const status = row.children[2].innerText;
+    const prompt = document.createElement("div");
+    prompt.id = "update-prompt";
+    prompt.className = "update-prompt";
+    prompt.setAttribute("role", "status");
+    prompt.innerHTML = `
+      <span>Nueva versión disponible</span>
+      <button type="button" class="update-prompt__button">Actualizar</button>
+    `;
 
-      const matchesKeyword =
-        type.includes(currentKeyword) ||
-        location.includes(currentKeyword);
+    // La recarga la hacen controllerchange o UPDATE_APPLIED, en esta y en las demás pestañas
+    prompt.querySelector("button").addEventListener("click", (e) => {
+      e.target.disabled = true;
+      worker.postMessage(message);
+    });
 
-      const matchesStatus =
-        currentStatus === "" || status === currentStatus;
+    document.body.appendChild(prompt);
+  },
 
-      row.style.display = (matchesKeyword && matchesStatus) ? "" : "none";
-    });
-  }
+  
+};
 
-});
\ No newline at end of file
+// Inicializar la aplicación cuando el DOM esté listo
+document.addEventListener("DOMContentLoaded", () => {
+  App.init();
+});
@@ -0,0 +1,86 @@
+/**
+ * Caches con límite de tamaño y expulsión LRU (la entrada usada hace más tiempo sale primero).
+ * El índice (url, tamaño, último acceso) vive en IndexedDB porque la Cache API
+ * no guarda esa información. Se usa desde sw.js; depende de idb.js.
+ */
+self.CacheLRU = {
+  STORE: "cacheIndex",
+
+  // Las respuestas opacas (imágenes de otro origen sin CORS) no dejan leer su tamaño
+  OPAQUE_ENTRY_SIZE: 512 * 1024,
+
+  /**
+   * Busca en la cache y marca la entrada como usada.
+   * @returns {Promise<Response|undefined>}
+   */
+  async match(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const response = await cache.match(request);
+    if (response) {
+      const url = typeof request === "string" ? request : request.url;
+      this._touch(url).catch(() => {
+        /* No crítico */
+      });
+    }
+    return response;
+  },
+
+  /**
+   * Guarda una respuesta y recorta la cache hasta maxBytes.
+   */
+  async put(cacheName, request, response, maxBytes) {
+    const url = typeof request === "string" ? request : request.url;
+    const size = await this._sizeOf(response.clone());
+
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+    await IDB.put(this.STORE, { url, cacheName, size, lastAccess: Date.now() });
+
+    await this.trim(cacheName, maxBytes);
+  },
+
+  /**
+   * Elimina las entradas menos usadas hasta que la cache quepa en maxBytes.
+   */
+  async trim(cacheName, maxBytes) {
+    const entries = (await IDB.getAll(this.STORE))
+      .filter((entry) => entry.cacheName === cacheName)
+      .sort((a, b) => a.lastAccess - b.lastAccess);
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= maxBytes) return;
+
+    const cache = await caches.open(cacheName);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      await cache.delete(entry.url);
+      await IDB.delete(this.STORE, entry.url);
+      total -= entry.size;
+    }
+  },
+
+  /**
+   * Bytes ocupados por una cache según el índice.
+   */
+  async usage(cacheName) {
+    const entries = await IDB.getAll(this.STORE);
+    return entries
+      .filter((entry) => entry.cacheName === cacheName)
+      .reduce((sum, entry) => sum + entry.size, 0);
+  },
+
+  async _touch(url) {
+    const entry = await IDB.get(this.STORE, url);
+    if (!entry) return;
+    entry.lastAccess = Date.now();
+    await IDB.put(this.STORE, entry);
+  },
+
+  async _sizeOf(response) {
+    if (response.type === "opaque") return this.OPAQUE_ENTRY_SIZE;
+    const length = Number(response.headers.get("content-length"));
+    if (length) return length;
+    const blob = await response.blob();
+    return blob.size;
+  },
+};
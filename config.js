@@ -0,0 +1,81 @@
+/**
+ * Configuración de la app en tiempo de ejecución (config.json), compartida por
+ * las páginas y el Service Worker.
+ * Para apuntar a otro backend sin tocar el código, un override en IndexedDB
+ * (p. ej. { environment: "local" }) se aplica encima de config.json.
+ * Depende de idb.js.
+ */
+self.AppConfig = {
+  URL: "/config.json",
+  OVERRIDE_KEY: "configOverride",
+
+  // Si config.json no se puede leer, se usa producción
+  DEFAULTS: {
+    environment: "production",
+    environments: {
+      production: {
+        apiBaseUrl: "https://ciudad-conectada.onrender.com/api",
+        assetBaseUrl: "https://ciudad-conectada.onrender.com",
+        vapidKeyUrl: "https://ciudad-conectada.onrender.com/api/push/vapid-public-key",
+      },
+    },
+    features: {},
+    timeouts: {},
+  },
+
+  /**
+   * Lee config.json y el override, y resuelve el entorno activo.
+   * @returns {Promise<object>} - { environment, apiBaseUrl, assetBaseUrl, vapidKeyUrl, features, timeouts }
+   */
+  async load() {
+    const [file, override] = await Promise.all([
+      this._fetchFile(),
+      IDB.getMeta(this.OVERRIDE_KEY).catch(() => undefined),
+    ]);
+    return this.resolve(file, override);
+  },
+
+  /**
+   * Combina la configuración base con el override. El override puede elegir
+   * un entorno ({ environment }) o cambiar valores sueltos (apiBaseUrl, features, timeouts).
+   */
+  resolve(file = this.DEFAULTS, override = {}) {
+    const base = { ...this.DEFAULTS, ...file };
+    const environment = override.environment || base.environment;
+    const selected = base.environments[environment] || base.environments[base.environment];
+
+    return {
+      environment,
+      apiBaseUrl: override.apiBaseUrl || selected.apiBaseUrl,
+      assetBaseUrl: override.assetBaseUrl || selected.assetBaseUrl,
+      // Clave pública VAPID del servidor que envía los push ({ publicKey })
+      vapidKeyUrl: override.vapidKeyUrl || selected.vapidKeyUrl,
+      features: { ...base.features, ...override.features },
+      timeouts: { ...base.timeouts, ...override.timeouts },
+    };
+  },
+
+  setOverride(override) {
+    return IDB.setMeta(this.OVERRIDE_KEY, override);
+  },
+
+  clearOverride() {
+    return IDB.deleteMeta(this.OVERRIDE_KEY);
+  },
+
+  async _fetchFile() {
+    try {
+      const response = await fetch(this.URL, { cache: "no-cache" });
+      if (response.ok) return await response.json();
+    } catch (error) {
+      /* Sin conexión: se intenta la copia guardada */
+    }
+
+    // El Service Worker no pasa por su propio fetch: buscar en el precache directamente
+    if (self.caches) {
+      const cached = await caches.match(new URL(this.URL, self.location.origin).href, { ignoreSearch: true });
+      if (cached) return cached.json();
+    }
+    return this.DEFAULTS;
+  },
+};
@@ -0,0 +1,184 @@
+/**
+ * Validación de formularios con mensajes junto a cada campo.
+ * Un esquema asocia el name (o id) de cada campo con sus reglas:
+ *
+ *   FormValidation.attach(form, {
+ *     email: [FormValidation.required(), FormValidation.email()],
+ *     confirmPassword: [FormValidation.required(), FormValidation.matches("password")],
+ *   });
+ *
+ * Cada regla recibe (valor, form) y devuelve un mensaje de error o null.
+ * Solo para las páginas (usa el DOM).
+ */
+self.FormValidation = {
+  // Mismas reglas que valida el servidor (ver mocks/server.js)
+  PASSWORD_RULES: [
+    { label: "Al menos 8 caracteres", test: (value) => value.length >= 8 },
+    { label: "Una letra mayúscula", test: (value) => /[A-ZÁÉÍÓÚÑ]/.test(value) },
+    { label: "Una letra minúscula", test: (value) => /[a-záéíóúñ]/.test(value) },
+    { label: "Un número", test: (value) => /\d/.test(value) },
+  ],
+
+  EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+
+  // ---- Reglas ----
+  required(message = "Este campo es obligatorio.") {
+    return (value) => (value.trim() === "" ? message : null);
+  },
+
+  email(message = "Escribe un correo válido, p. ej. nombre@dominio.com.") {
+    return (value) => (value && !this.EMAIL_PATTERN.test(value.trim()) ? message : null);
+  },
+
+  password() {
+    return (value) => {
+      const issues = this.getPasswordIssues(value);
+      return value && issues.length > 0
+        ? `A la contraseña le falta: ${issues.join(", ").toLowerCase()}.`
+        : null;
+    };
+  },
+
+  matches(otherField, message = "Las contraseñas no coinciden.") {
+    return (value, form) => (value && value !== this._field(form, otherField).value ? message : null);
+  },
+
+  // Opcional: de 7 a 15 dígitos, con +, espacios, guiones o paréntesis
+  phone(message = "Escribe un teléfono válido, p. ej. 55 1234 5678.") {
+    return (value) => {
+      if (!value.trim()) return null;
+      const digits = value.replace(/\D/g, "").length;
+      return /^\+?[\d\s()-]+$/.test(value.trim()) && digits >= 7 && digits <= 15 ? null : message;
+    };
+  },
+
+  /**
+   * El valor debe ser una de las opciones del <select> (sin contar la opción vacía).
+   */
+  oneOfOptions(message = "Elige una opción de la lista.") {
+    return (value, form, field) => {
+      const options = Array.from(field.options || []).map((option) => option.value).filter(Boolean);
+      return value && !options.includes(value) ? message : null;
+    };
+  },
+
+  /**
+   * Reglas de la contraseña que todavía no se cumplen.
+   * @returns {string[]}
+   */
+  getPasswordIssues(password) {
+    return this.PASSWORD_RULES.filter((rule) => !rule.test(password)).map((rule) => rule.label);
+  },
+
+  // ---- Validación ----
+  /**
+   * Valida todos los campos del esquema y muestra sus errores.
+   * @returns {object} - { campo: mensaje } solo con los campos inválidos (vacío si todo es válido).
+   */
+  validate(form, schema) {
+    const errors = {};
+    Object.keys(schema).forEach((name) => {
+      const message = this.validateField(form, schema, name);
+      if (message) errors[name] = message;
+    });
+
+    const firstInvalid = Object.keys(errors)[0];
+    if (firstInvalid) this._field(form, firstInvalid).focus();
+    return errors;
+  },
+
+  validateField(form, schema, name) {
+    const field = this._field(form, name);
+    if (!field || field.disabled) return null;
+
+    let message = null;
+    for (const rule of schema[name]) {
+      message = rule(field.value, form, field);
+      if (message) break;
+    }
+    this.setFieldError(field, message);
+    return message;
+  },
+
+  /**
+   * Valida al salir de cada campo y, una vez que tiene error, mientras se corrige.
+   * Devuelve una función que valida todo el formulario (para el submit).
+   * @returns {function(): object}
+   */
+  attach(form, schema) {
+    form.noValidate = true;
+
+    Object.keys(schema).forEach((name) => {
+      const field = this._field(form, name);
+      if (!field) return;
+
+      field.addEventListener("blur", () => {
+        if (field.value) this.validateField(form, schema, name);
+      });
+      field.addEventListener("input", () => {
+        if (field.getAttribute("aria-invalid") === "true") this.validateField(form, schema, name);
+      });
+    });
+
+    // Si cambia la contraseña, la confirmación se vuelve a revisar
+    form.addEventListener("input", (event) => {
+      Object.keys(schema).forEach((name) => {
+        const field = this._field(form, name);
+        if (field && field !== event.target && field.getAttribute("aria-invalid") === "true") {
+          this.validateField(form, schema, name);
+        }
+      });
+    });
+
+    return () => this.validate(form, schema);
+  },
+
+  /**
+   * Muestra los errores por campo que devolvió el servidor (ValidationError.fields).
+   * @returns {boolean} - true si alguno correspondía a un campo del formulario.
+   */
+  showServerErrors(form, fields = {}) {
+    let shown = false;
+    Object.entries(fields).forEach(([name, message]) => {
+      const field = this._field(form, name);
+      if (field && typeof message === "string") {
+        this.setFieldError(field, message);
+        shown = true;
+      }
+    });
+    return shown;
+  },
+
+  setFieldError(field, message) {
+    const errorId = `${field.id || field.name}-error`;
+    let errorEl = document.getElementById(errorId);
+
+    if (!message) {
+      field.removeAttribute("aria-invalid");
+      if (errorEl) errorEl.hidden = true;
+      return;
+    }
+
+    if (!errorEl) {
+      errorEl = document.createElement("p");
+      errorEl.id = errorId;
+      errorEl.className = "form-error";
+      (field.closest(".login-form__group") || field).after(errorEl);
+
+      const describedBy = field.getAttribute("aria-describedby");
+      field.setAttribute("aria-describedby", describedBy ? `${describedBy} ${errorId}` : errorId);
+    }
+
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+    field.setAttribute("aria-invalid", "true");
+  },
+
+  clearErrors(form) {
+    form.querySelectorAll("[aria-invalid='true']").forEach((field) => this.setFieldError(field, null));
+  },
+
+  _field(form, name) {
+    return form.elements[name] || form.querySelector(`#${CSS.escape(name)}`);
+  },
+};
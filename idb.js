@@ -0,0 +1,129 @@
+/**
+ * Acceso a IndexedDB compartido entre las páginas y el Service Worker.
+ * Se carga con <script> en las páginas y con importScripts() en sw.js,
+ * por eso no debe usar window ni document.
+ */
+self.IDB = {
+  name: "ciudad-conectada",
+  version: 4,
+
+  // Almacenes de la base de datos y su clave primaria
+  stores: {
+    syncQueue: { keyPath: "id" },
+    deadLetter: { keyPath: "id" },
+    meta: { keyPath: "key" },
+    cacheIndex: { keyPath: "url" },
+    notifications: { keyPath: "id" },
+  },
+
+  _dbPromise: null,
+
+  /**
+   * Abre (o crea) la base de datos, creando los almacenes que falten.
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(this.stores).forEach(([storeName, options]) => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, options);
+          }
+        });
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Si otra pestaña actualiza la versión, cerrar para no bloquearla
+        db.onversionchange = () => {
+          db.close();
+          this._dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        this._dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this._dbPromise;
+  },
+
+  /**
+   * Ejecuta una operación sobre un almacén y resuelve con su resultado
+   * cuando la transacción termina.
+   */
+  async _run(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  getAll(storeName) {
+    return this._run(storeName, "readonly", (store) => store.getAll());
+  },
+
+  get(storeName, key) {
+    return this._run(storeName, "readonly", (store) => store.get(key));
+  },
+
+  put(storeName, value) {
+    return this._run(storeName, "readwrite", (store) => store.put(value));
+  },
+
+  /**
+   * Guarda value solo si no hay otro con la misma clave. La búsqueda y la escritura van
+   * en la misma transacción, así una página y el Service Worker no se pisan.
+   * @returns {Promise<boolean>} - true si se guardó.
+   */
+  async addIfAbsent(storeName, value) {
+    let added = false;
+    await this._run(storeName, "readwrite", (store) => {
+      const lookup = store.get(value[store.keyPath]);
+      lookup.onsuccess = () => {
+        if (lookup.result) return;
+        store.put(value);
+        added = true;
+      };
+    });
+    return added;
+  },
+
+  delete(storeName, key) {
+    return this._run(storeName, "readwrite", (store) => store.delete(key));
+  },
+
+  count(storeName) {
+    return this._run(storeName, "readonly", (store) => store.count());
+  },
+
+  clear(storeName) {
+    return this._run(storeName, "readwrite", (store) => store.clear());
+  },
+
+  // --- PARES CLAVE/VALOR EN EL ALMACÉN "meta" ---
+  async getMeta(key) {
+    const entry = await this.get("meta", key);
+    return entry ? entry.value : undefined;
+  },
+
+  setMeta(key, value) {
+    return this.put("meta", { key, value });
+  },
+
+  deleteMeta(key) {
+    return this.delete("meta", key);
+  },
+};
@@ -0,0 +1,363 @@
+/**
+ * Servidor de prueba para los endpoints de autenticación (sin dependencias).
+ *
+ *   node mocks/server.js              → http://localhost:3000/api
+ *   TOKEN_TTL=60 node mocks/server.js → tokens que expiran en 1 minuto
+ *
+ * En la app: App.setConfigOverride({ environment: "local" }).
+ * Emite JWT firmados (HS256) con exp y refresh tokens que rotan en cada uso.
+ * Usuarios de prueba: ver USERS (contraseña "Demo1234").
+ *
+ * Registro: las cuentas nuevas nunca son de administrador y las de inspector
+ * quedan inactivas hasta que un supervisor las aprueba:
+ *   curl -X POST localhost:3000/api/Users/<id>/approve -H "Authorization: Bearer <token de supervisor>"
+ *
+ * Perfil: GET y PUT /api/Users/<id> (nombre, apellido, teléfono), POST /api/Users/<id>/avatar
+ * (multipart, campo "avatar"; la foto se sirve en /uploads/avatars/<id>.jpg) y
+ * POST /api/auth/change-password.
+ *
+ * Recuperación de contraseña: en lugar de enviar el correo, el enlace para
+ * restablecerla se imprime en la consola (la app se toma del Origin o de APP_URL).
+ *
+ * Push: POST, PUT (preferencias) y DELETE /api/push/subscriptions guardan las suscripciones
+ * en memoria. La clave VAPID del entorno local es la de mocks/vapid.json; este servidor no
+ * envía pushes, para probarlos se usa App.simulatePush.
+ */
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 3000;
+const TOKEN_TTL = Number(process.env.TOKEN_TTL) || 15 * 60;
+const REFRESH_TTL = 7 * 24 * 60 * 60;
+const RESET_TTL = 30 * 60;
+const SECRET = process.env.JWT_SECRET || "ciudad-conectada-dev";
+
+const USERS = [
+  { id: 1, name: "Ana", lastName: "Supervisora", email: "supervisor@demo.mx", rol: "Supervisor", isAdmin: false, active: true, password: "Demo1234" },
+  { id: 2, name: "Luis", lastName: "Inspector", email: "agua@demo.mx", rol: "Inspector de agua", isAdmin: false, active: true, password: "Demo1234" },
+];
+// Roles que se pueden elegir al registrarse (los mismos del formulario)
+const REGISTER_ROLES = ["Inspector de agua", "Inspector de luz", "Inspector de infraestructura"];
+
+// refresh token → { userId, expiresAt }
+const refreshTokens = new Map();
+// token del enlace de recuperación → { userId, expiresAt }
+const resetTokens = new Map();
+
+// Fotos de perfil en memoria: id de usuario → Buffer JPEG
+const avatars = new Map();
+
+// Suscripciones push: endpoint → { userId, subscription, preferences }
+const pushSubscriptions = new Map();
+
+// Las mismas reglas que FormValidation.PASSWORD_RULES
+function getPasswordError(password) {
+  if (typeof password !== "string" || password.length < 8) return "Debe tener al menos 8 caracteres";
+  if (!/[A-ZÁÉÍÓÚÑ]/.test(password)) return "Debe tener una letra mayúscula";
+  if (!/[a-záéíóúñ]/.test(password)) return "Debe tener una letra minúscula";
+  if (!/\d/.test(password)) return "Debe tener un número";
+  return null;
+}
+
+function toPublicUser(user) {
+  const { password, ...publicUser } = user;
+  return publicUser;
+}
+
+function getAuthUser(req) {
+  const claims = verifyToken((req.headers.authorization || "").replace("Bearer ", ""));
+  return claims && USERS.find((u) => String(u.id) === claims.sub);
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(JSON.stringify({ sub: String(user.id), email: user.email, iat: now, exp: now + TOKEN_TTL }));
+  const signature = crypto.createHmac("sha256", SECRET).update(`${header}.${payload}`).digest("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+function verifyToken(token) {
+  const [header, payload, signature] = (token || "").split(".");
+  if (!signature) return null;
+  const expected = crypto.createHmac("sha256", SECRET).update(`${header}.${payload}`).digest("base64url");
+  if (signature !== expected) return null;
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  return claims.exp * 1000 > Date.now() ? claims : null;
+}
+
+function issueSession(user) {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+  refreshTokens.set(refreshToken, { userId: user.id, expiresAt: Date.now() + REFRESH_TTL * 1000 });
+  return { token: signToken(user), refreshToken, user: toPublicUser(user) };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readRawBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Extrae un archivo de un cuerpo multipart/form-data (suficiente para pruebas).
+ * @returns {Buffer|null}
+ */
+function readMultipartFile(body, contentType, fieldName) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || "");
+  if (!boundary) return null;
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    const headers = part.subarray(0, headerEnd).toString();
+    if (headers.includes(`name="${fieldName}"`)) return part.subarray(headerEnd + 4);
+    start = next;
+  }
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(data || "{}"));
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+const routes = {
+  "POST /api/auth/login": async (req, res) => {
+    const { email, password } = await readBody(req);
+    const user = USERS.find((u) => u.email === email && u.password === password);
+    if (!user) return send(res, 401, { message: "Credenciales incorrectas" });
+    if (!user.active) {
+      return send(res, 403, { code: "account_pending", message: "Tu cuenta está pendiente de aprobación por un supervisor." });
+    }
+    send(res, 200, issueSession(user));
+  },
+
+  // Rota el refresh token: el usado deja de servir
+  "POST /api/auth/refresh": async (req, res) => {
+    const { refreshToken } = await readBody(req);
+    const entry = refreshTokens.get(refreshToken);
+    refreshTokens.delete(refreshToken);
+    if (!entry || entry.expiresAt < Date.now()) {
+      return send(res, 401, { message: "Refresh token inválido o expirado" });
+    }
+    const user = USERS.find((u) => u.id === entry.userId);
+    if (!user.active) return send(res, 403, { code: "account_pending", message: "Tu cuenta no está activa." });
+    send(res, 200, issueSession(user));
+  },
+
+  // isAdmin del cuerpo se ignora: los permisos los asigna el servidor
+  "POST /api/Users": async (req, res) => {
+    const { name, lastName, email, password, rol } = await readBody(req);
+    const errors = {};
+    if (!name || !name.trim()) errors.name = "El nombre es obligatorio";
+    if (!lastName || !lastName.trim()) errors.lastName = "El apellido es obligatorio";
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || "")) errors.email = "Correo inválido";
+    const passwordError = getPasswordError(password);
+    if (passwordError) errors.password = passwordError;
+    if (!REGISTER_ROLES.includes(rol)) errors.rol = "Rol no válido";
+    if (Object.keys(errors).length > 0) return send(res, 422, { errors });
+
+    if (USERS.some((u) => u.email === email)) {
+      return send(res, 409, { message: "Ya existe una cuenta con este correo" });
+    }
+
+    const user = { id: USERS.length + 1, name, lastName, email, rol, isAdmin: false, active: false, password };
+    USERS.push(user);
+    send(res, 201, toPublicUser(user));
+  },
+
+  // Responde igual exista o no el correo, para no revelar qué cuentas hay
+  "POST /api/auth/forgot-password": async (req, res) => {
+    const { email } = await readBody(req);
+    const user = USERS.find((u) => u.email === email);
+    if (user) {
+      const token = crypto.randomBytes(32).toString("base64url");
+      resetTokens.set(token, { userId: user.id, expiresAt: Date.now() + RESET_TTL * 1000 });
+      const appUrl = process.env.APP_URL || req.headers.origin || "http://localhost:8080";
+      console.log(`Enlace para ${email}: ${appUrl}/RestablecerContrasena.html?token=${token}`);
+    }
+    send(res, 202, { message: "Si el correo está registrado, se envió un enlace" });
+  },
+
+  // El enlace sirve una sola vez; cambiar la contraseña cierra las demás sesiones
+  "POST /api/auth/reset-password": async (req, res) => {
+    const { token, password } = await readBody(req);
+    const entry = resetTokens.get(token);
+    if (!entry || entry.expiresAt < Date.now()) {
+      return send(res, 400, { message: "El enlace no es válido o ya expiró. Pide uno nuevo." });
+    }
+
+    const passwordError = getPasswordError(password);
+    if (passwordError) return send(res, 422, { errors: { password: passwordError } });
+
+    resetTokens.delete(token);
+    USERS.find((u) => u.id === entry.userId).password = password;
+    for (const [refreshToken, session] of refreshTokens) {
+      if (session.userId === entry.userId) refreshTokens.delete(refreshToken);
+    }
+    send(res, 200, { message: "Contraseña actualizada" });
+  },
+
+  "POST /api/auth/change-password": async (req, res) => {
+    const user = getAuthUser(req);
+    if (!user) return send(res, 401, { message: "Token inválido o expirado" });
+
+    const { currentPassword, newPassword } = await readBody(req);
+    if (currentPassword !== user.password) {
+      return send(res, 422, { errors: { currentPassword: "La contraseña actual no es correcta" } });
+    }
+    const passwordError = getPasswordError(newPassword);
+    if (passwordError) return send(res, 422, { errors: { newPassword: passwordError } });
+
+    // Se cierran las demás sesiones y esta recibe tokens nuevos
+    user.password = newPassword;
+    for (const [refreshToken, session] of refreshTokens) {
+      if (session.userId === user.id) refreshTokens.delete(refreshToken);
+    }
+    send(res, 200, issueSession(user));
+  },
+
+  "GET /api/auth/me": async (req, res) => {
+    const user = getAuthUser(req);
+    if (!user) return send(res, 401, { message: "Token inválido o expirado" });
+    send(res, 200, toPublicUser(user));
+  },
+
+  "POST /api/push/subscriptions": async (req, res) => {
+    const user = getAuthUser(req);
+    if (!user) return send(res, 401, { message: "Token inválido o expirado" });
+
+    const { subscription, preferences } = await readBody(req);
+    if (!subscription || !subscription.endpoint) {
+      return send(res, 422, { errors: { subscription: "Falta la suscripción" } });
+    }
+    pushSubscriptions.set(subscription.endpoint, { userId: user.id, subscription, preferences });
+    send(res, 201, { endpoint: subscription.endpoint, preferences });
+  },
+
+  "PUT /api/push/subscriptions": async (req, res) => {
+    const user = getAuthUser(req);
+    if (!user) return send(res, 401, { message: "Token inválido o expirado" });
+
+    const { endpoint, preferences } = await readBody(req);
+    const entry = pushSubscriptions.get(endpoint);
+    if (!entry || entry.userId !== user.id) return send(res, 404, { message: "Suscripción no encontrada" });
+    entry.preferences = preferences;
+    send(res, 200, { endpoint, preferences });
+  },
+
+  // Sin suscripción también responde bien: el navegador la quita de todas formas
+  "DELETE /api/push/subscriptions": async (req, res) => {
+    const user = getAuthUser(req);
+    if (!user) return send(res, 401, { message: "Token inválido o expirado" });
+
+    const { endpoint } = await readBody(req);
+    const entry = pushSubscriptions.get(endpoint);
+    if (entry && entry.userId === user.id) pushSubscriptions.delete(endpoint);
+    send(res, 200, { message: "Suscripción eliminada" });
+  },
+};
+
+// Rutas con parámetros: [método, patrón, manejador(req, res, ...grupos)]
+const paramRoutes = [
+  ["POST", /^\/api\/Users\/(\d+)\/approve$/, async (req, res, id) => {
+    const supervisor = getAuthUser(req);
+    if (!supervisor) return send(res, 401, { message: "Token inválido o expirado" });
+    if (!/supervisor|admin/i.test(supervisor.rol)) {
+      return send(res, 403, { message: "Solo un supervisor puede aprobar cuentas" });
+    }
+    const user = USERS.find((u) => u.id === Number(id));
+    if (!user) return send(res, 404, { message: "Usuario no encontrado" });
+    user.active = true;
+    send(res, 200, toPublicUser(user));
+  }],
+
+  ["GET", /^\/api\/Users\/(\d+)$/, async (req, res, id) => {
+    const user = getAuthUser(req);
+    if (!user) return send(res, 401, { message: "Token inválido o expirado" });
+    if (user.id !== Number(id)) return send(res, 403, { message: "Solo puedes ver tu propio perfil" });
+    send(res, 200, toPublicUser(user));
+  }],
+
+  // Solo se cambian los datos de contacto; correo, rol y permisos no
+  ["PUT", /^\/api\/Users\/(\d+)$/, async (req, res, id) => {
+    const user = getAuthUser(req);
+    if (!user) return send(res, 401, { message: "Token inválido o expirado" });
+    if (user.id !== Number(id)) return send(res, 403, { message: "Solo puedes editar tu propio perfil" });
+
+    const { name, lastName, phone = "" } = await readBody(req);
+    const errors = {};
+    if (!name || !name.trim()) errors.name = "El nombre es obligatorio";
+    if (!lastName || !lastName.trim()) errors.lastName = "El apellido es obligatorio";
+    if (phone && !/^\+?[\d\s()-]{7,20}$/.test(phone)) errors.phone = "Teléfono inválido";
+    if (Object.keys(errors).length > 0) return send(res, 422, { errors });
+
+    Object.assign(user, { name: name.trim(), lastName: lastName.trim(), phone });
+    send(res, 200, toPublicUser(user));
+  }],
+
+  ["POST", /^\/api\/Users\/(\d+)\/avatar$/, async (req, res, id) => {
+    const user = getAuthUser(req);
+    if (!user) return send(res, 401, { message: "Token inválido o expirado" });
+    if (user.id !== Number(id)) return send(res, 403, { message: "Solo puedes cambiar tu propia foto" });
+
+    const file = readMultipartFile(await readRawBody(req), req.headers["content-type"], "avatar");
+    if (!file || file.length === 0) return send(res, 400, { message: "Falta la imagen" });
+
+    avatars.set(user.id, file);
+    user.avatarUrl = `/uploads/avatars/${user.id}.jpg?v=${Date.now()}`;
+    send(res, 200, toPublicUser(user));
+  }],
+
+  ["GET", /^\/uploads\/avatars\/(\d+)\.jpg$/, async (req, res, id) => {
+    const file = avatars.get(Number(id));
+    if (!file) return send(res, 404, { message: "Sin foto" });
+    res.writeHead(200, { "Content-Type": "image/jpeg", "Cache-Control": "no-cache" });
+    res.end(file);
+  }],
+];
+
+http
+  .createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Idempotency-Key");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    if (req.method === "OPTIONS") return res.end();
+
+    const pathname = new URL(req.url, "http://localhost").pathname;
+    const route = routes[`${req.method} ${pathname}`];
+    if (route) return route(req, res);
+
+    for (const [method, pattern, handler] of paramRoutes) {
+      const match = req.method === method && pathname.match(pattern);
+      if (match) return handler(req, res, ...match.slice(1));
+    }
+    send(res, 404, { message: "Ruta no disponible en el servidor de prueba" });
+  })
+  .listen(PORT, () => {
+    console.log(`Servidor de prueba en http://localhost:${PORT}/api (tokens de ${TOKEN_TTL} s)`);
+  });
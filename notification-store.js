@@ -0,0 +1,153 @@
+/**
+ * Notificaciones del usuario guardadas en IndexedDB, para que el feed
+ * y el contador de no leídas funcionen sin conexión.
+ * Se usa desde las páginas y desde sw.js (fallos de sincronización en segundo plano).
+ * Depende de idb.js.
+ */
+self.NotificationStore = {
+  STORE: "notifications",
+  CHANNEL: "cc-notifications",
+
+  // Se conservan solo las más recientes
+  MAX_ENTRIES: 200,
+
+  _channel: null,
+  _listeners: [],
+
+  // --- EVENTOS ---
+  _getChannel() {
+    if (!this._channel && "BroadcastChannel" in self) {
+      this._channel = new BroadcastChannel(this.CHANNEL);
+      this._channel.onmessage = () => this._notifyLocal();
+    }
+    return this._channel;
+  },
+
+  _notifyLocal() {
+    this._listeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.error("Error en listener de notificaciones:", error);
+      }
+    });
+  },
+
+  /**
+   * Avisa a este contexto y a los demás que el feed cambió.
+   */
+  _emit() {
+    this._notifyLocal();
+    const channel = this._getChannel();
+    if (channel) channel.postMessage({ type: "changed" });
+  },
+
+  /**
+   * Registra un listener que se llama cada vez que cambia el feed.
+   */
+  subscribe(listener) {
+    this._getChannel();
+    this._listeners.push(listener);
+  },
+
+  // --- LECTURA Y ESCRITURA ---
+  /**
+   * Agrega una notificación. Si ya existe una con el mismo id no se duplica
+   * (varias pestañas y el Service Worker pueden ver el mismo evento).
+   * @param {object} notification - { id, type: 'new-report' | 'status-change' | 'sync-failure', title, message, reportId, url }
+   * @returns {Promise<boolean>} - true si se agregó.
+   */
+  async add(notification) {
+    // Si ya existe se conserva tal cual (incluido read, si el usuario ya la leyó)
+    const added = await IDB.addIfAbsent(this.STORE, {
+      reportId: null,
+      url: null,
+      ...notification,
+      createdAt: notification.createdAt || new Date().toISOString(),
+      read: false,
+    });
+    if (!added) return false;
+
+    await this._prune();
+    this._emit();
+    return true;
+  },
+
+  /**
+   * Notificaciones de la más reciente a la más antigua.
+   */
+  async getAll() {
+    const items = await IDB.getAll(this.STORE);
+    return items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  },
+
+  async unreadCount() {
+    const items = await IDB.getAll(this.STORE);
+    return items.filter((item) => !item.read).length;
+  },
+
+  async markRead(id) {
+    const item = await IDB.get(this.STORE, id);
+    if (!item || item.read) return;
+    await IDB.put(this.STORE, { ...item, read: true });
+    this._emit();
+  },
+
+  async markAllRead() {
+    const unread = (await IDB.getAll(this.STORE)).filter((item) => !item.read);
+    for (const item of unread) {
+      await IDB.put(this.STORE, { ...item, read: true });
+    }
+    if (unread.length > 0) this._emit();
+  },
+
+  /**
+   * Borra todo el feed (al cerrar sesión).
+   */
+  async clear() {
+    await IDB.clear(this.STORE);
+    this._emit();
+  },
+
+  async _prune() {
+    const items = await this.getAll();
+    for (const item of items.slice(this.MAX_ENTRIES)) {
+      await IDB.delete(this.STORE, item.id);
+    }
+  },
+
+  // --- NOTIFICACIONES DE LA COLA DE SINCRONIZACIÓN ---
+  /**
+   * Convierte los fallos de la cola (SyncQueue) en notificaciones.
+   * @param {object} event - Evento emitido por SyncQueue.
+   */
+  recordSyncEvent(event) {
+    const action = event.action;
+    if (!action) return Promise.resolve(false);
+
+    const report = action.reportId ? ` del reporte #${action.reportId}` : "";
+
+    if (event.type === "dead-letter") {
+      return this.add({
+        id: `dead-letter:${action.id}`,
+        type: "sync-failure",
+        title: "Acción rechazada por el servidor",
+        message: `Una acción${report} no se pudo sincronizar (${action.status || "error"}). Revísala en Sincronización.`,
+        reportId: action.reportId,
+        url: "Sincronizacion.html",
+      });
+    }
+
+    if (event.type === "conflict") {
+      return this.add({
+        id: `conflict:${action.id}`,
+        type: "sync-failure",
+        title: "Conflicto de sincronización",
+        message: `Un cambio guardado sin conexión${report} choca con un cambio en el servidor.`,
+        reportId: action.reportId,
+      });
+    }
+
+    return Promise.resolve(false);
+  },
+};
@@ -0,0 +1,103 @@
+/**
+ * Turno offline: descarga a la cache los reportes abiertos del alcance del usuario
+ * (detalle, historial, notas y evidencias) para trabajar sin conexión.
+ * Se usa desde sw.js (Periodic Background Sync o botón "Descargar para offline").
+ * El Service Worker no conoce al usuario: la página guarda en IndexedDB qué descargar.
+ * Depende de idb.js y cache-lru.js.
+ */
+self.OfflinePrefetch = {
+  // Claves en el almacén "meta"
+  CONFIG_KEY: "offlineShift",
+  SNAPSHOT_KEY: "offlineSnapshot",
+  TAG: "refresh-open-reports",
+
+  _running: null,
+
+  /**
+   * Descarga el snapshot. Si ya hay una descarga en curso, devuelve la misma promesa.
+   * @param {object} options - { apiBase, assetBase, cacheResponse(url, response), evidenceCache, evidenceLimit, onProgress }
+   * @returns {Promise<object>} - { refreshedAt, reportCount, failed, bytes }
+   */
+  run(options) {
+    if (!this._running) {
+      this._running = this._run(options).finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  },
+
+  async _run({ apiBase, assetBase, cacheResponse, evidenceCache, evidenceLimit, onProgress }) {
+    const config = await IDB.getMeta(this.CONFIG_KEY);
+    const token = await IDB.getMeta("authToken");
+    if (!config || !token) throw new Error("No hay sesión para descargar los reportes");
+
+    const headers = { Authorization: `Bearer ${token}` };
+    let bytes = 0;
+
+    // Misma URL que pide la página, para que la copia sirva sin conexión tal cual
+    const fetchAndCache = async (path) => {
+      const url = `${apiBase}${path}`;
+      const response = await fetch(url, { headers });
+      if (!response.ok) throw new Error(`Error ${response.status} en ${path}`);
+
+      bytes += (await response.clone().blob()).size;
+      await cacheResponse(url, response.clone());
+      return response.json();
+    };
+
+    const reports = new Map();
+    for (const path of config.listPaths) {
+      const data = await fetchAndCache(path);
+      const list = Array.isArray(data) ? data : data.data || data.reports || [];
+      list.forEach((report) => reports.set(String(report.id), report));
+    }
+
+    const open = Array.from(reports.values()).filter(
+      (report) => config.openStates.includes(report.estado) && this._inScope(report, config.tipos)
+    );
+
+    let done = 0;
+    let failed = 0;
+    for (const report of open) {
+      const id = encodeURIComponent(report.id);
+      try {
+        await fetchAndCache(`/Reports/${id}`);
+        await fetchAndCache(`/Reports/${id}/historial`).catch(() => null);
+        await fetchAndCache(`/reports/${id}/notas`).catch(() => null);
+
+        const evidence = await fetchAndCache(`/Reports/${id}/evidencias`);
+        for (const path of evidence.evidencias || []) {
+          const url = `${assetBase}${path}`;
+          if (!(await CacheLRU.match(evidenceCache, url))) {
+            const image = await fetch(url, { mode: "no-cors" });
+            await CacheLRU.put(evidenceCache, url, image, evidenceLimit);
+          }
+          const entry = await IDB.get(CacheLRU.STORE, url);
+          if (entry) bytes += entry.size;
+        }
+      } catch (error) {
+        failed++;
+      }
+
+      done++;
+      if (onProgress) onProgress({ done, total: open.length });
+    }
+
+    const snapshot = {
+      refreshedAt: new Date().toISOString(),
+      reportCount: open.length - failed,
+      failed,
+      bytes,
+    };
+    await IDB.setMeta(this.SNAPSHOT_KEY, snapshot);
+    return snapshot;
+  },
+
+  // tipos: claves de tipo de servicio del usuario ("agua", "luz"…), o null para todos
+  _inScope(report, tipos) {
+    if (!tipos) return true;
+    const type = ((report.service && report.service.type) || "").toLowerCase();
+    return tipos.some((key) => type.includes(key));
+  },
+};
@@ -1,47 +1,243 @@
-const CACHE_NAME = "cc-cache-v5";
-const API_CACHE = "cc-api-cache-v5";
+importScripts(
+  "idb.js",
+  "config.js",
+  "sync-queue.js",
+  "cache-lru.js",
+  "notification-store.js",
+  "offline-prefetch.js"
+);
 
-const STATIC_ASSETS = [
+// Archivos de la app. La revisión de cada uno es el hash de su contenido y la calcula
+// el propio Service Worker al instalarse: no hay que cambiar nombres ni versiones a mano.
+const PRECACHE = "cc-precache-v1";
+const API_CACHE = "cc-api-cache-v6";
+const EVIDENCE_CACHE = "cc-evidence-v1";
+const TILE_CACHE = "cc-map-tiles-v1";
+
+const PRECACHE_URLS = [
   "/",
   "/Home.html",
   "/DetalleReporte.html",
   "/Perfil.html",
   "/Notificaciones.html",
+  "/Sincronizacion.html",
   "/Login.html",
   "/RegistrarUsuario.html",
+  "/RecuperarContrasena.html",
+  "/RestablecerContrasena.html",
   "/app.css",
   "/app.js",
+  "/idb.js",
+  "/config.js",
+  "/config.json",
+  "/api-client.js",
+  "/form-validation.js",
+  "/sync-queue.js",
+  "/cache-lru.js",
+  "/notification-store.js",
+  "/offline-prefetch.js",
+  "/manifest.webmanifest",
+  "/mocks/geocoder.json",
   "/icons/icono_144x144.png",
+  // Terceros: la versión va en la URL, se descargan una sola vez
   "https://fonts.googleapis.com/css2?family=Public+Sans:wght@400;500;600;700;800;900&display=swap",
-  "https://fonts.googleapis.com/css2?family=Material+Symbols+Outlined"
-];
+  "https://fonts.googleapis.com/css2?family=Material+Symbols+Outlined",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+  "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css",
+  "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css",
+  "https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js"
+].map(path => new URL(path, self.location.origin).href);
+
+// URL → clave en la cache (URL + revisión), en IndexedDB (meta).
+// "Next" son las revisiones descargadas que esperan a que el usuario acepte actualizar.
+const PRECACHE_KEYS_META = "precacheKeys";
+const PRECACHE_NEXT_META = "precacheKeysNext";
+// URL → { key, etag, lastModified } de la última versión descargada, para revisar
+// cambios con pedidos condicionales sin volver a bajar cada archivo
+const PRECACHE_VALIDATORS_META = "precacheValidators";
+const PRECACHE_CHECKED_META = "precacheCheckedAt";
+// Cada cuánto se revisa si cambió algún archivo (las páginas lo piden al abrirse)
+const PRECACHE_CHECK_INTERVAL = 10 * 60 * 1000;
+
+// Límite de espacio para las fotos de evidencia (se expulsan las menos vistas)
+const EVIDENCE_CACHE_LIMIT = 50 * 1024 * 1024;
+// Mosaicos del mapa ya vistos, para consultarlo sin conexión
+const TILE_CACHE_LIMIT = 30 * 1024 * 1024;
 
-const API_BASE = "https://ciudad-conectada.onrender.com/api";
+// API y evidencias según config.json (y el override de desarrollo).
+// Hasta que termine de cargar se usan los valores por defecto.
+let config = AppConfig.resolve();
+let configReady = loadConfig();
+
+function loadConfig() {
+  return AppConfig.load()
+    .then(loaded => {
+      config = loaded;
+    })
+    .catch(() => {
+      /* Se mantienen los valores por defecto */
+    });
+}
+
+// Revisiones en uso. Solo cambian al activar una versión o al aceptar una actualización,
+// así dos pestañas nunca mezclan archivos de versiones distintas.
+let precacheKeys = null;
+
+function getPrecacheKeys() {
+  if (!precacheKeys) {
+    precacheKeys = IDB.getMeta(PRECACHE_KEYS_META)
+      .then(keys => keys || {})
+      .catch(() => ({}));
+  }
+  return precacheKeys;
+}
+
+function getPrecacheUrl(url) {
+  // Las páginas llevan parámetros (?id=, ?page=): se buscan sin el query string
+  const href = url.origin === self.location.origin ? `${url.origin}${url.pathname}` : url.href;
+  return PRECACHE_URLS.includes(href) ? href : null;
+}
 
 // -------------------------------------------
-// INSTALL → Cache estático
+// INSTALL → Precache (solo lo que cambió)
 // -------------------------------------------
 self.addEventListener("install", event => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then(cache => cache.addAll(STATIC_ASSETS))
-  );
-  self.skipWaiting();
+  // Sin skipWaiting(): la nueva versión espera a que el usuario acepte actualizar
+  event.waitUntil((async () => {
+    const keys = await precacheFiles();
+    await IDB.setMeta(PRECACHE_NEXT_META, keys);
+    await configReady;
+  })());
 });
 
+/**
+ * Descarga los archivos de la app que cambiaron, calcula su revisión y guarda los nuevos.
+ * @returns {Promise<Object>} URL → clave en la cache.
+ */
+async function precacheFiles() {
+  const cache = await caches.open(PRECACHE);
+  const validators = (await IDB.getMeta(PRECACHE_VALIDATORS_META)) || {};
+  const nextValidators = {};
+  const keys = {};
+
+  await Promise.all(
+    PRECACHE_URLS.map(async url => {
+      if (new URL(url).origin !== self.location.origin) {
+        keys[url] = url;
+        if (await cache.match(url)) return;
+        await cache.put(url, await fetchForPrecache(url, { cache: "reload" }));
+        return;
+      }
+
+      const known = validators[url];
+      // Pedido condicional: si no cambió, el servidor responde 304 sin el contenido
+      const headers = {};
+      if (known && (await cache.match(known.key))) {
+        if (known.etag) headers["If-None-Match"] = known.etag;
+        if (known.lastModified) headers["If-Modified-Since"] = known.lastModified;
+      }
+      // no-store: el 304 llega hasta aquí en vez de resolverlo la cache HTTP del navegador
+      const response = await fetchForPrecache(url, { cache: "no-store", headers });
+      if (response.status === 304) {
+        keys[url] = known.key;
+        nextValidators[url] = known;
+        return;
+      }
+
+      const key = `${url}?__rev=${await hashResponse(response.clone())}`;
+      keys[url] = key;
+      nextValidators[url] = {
+        key,
+        etag: response.headers.get("ETag"),
+        lastModified: response.headers.get("Last-Modified")
+      };
+      // Misma revisión que la versión anterior → ya está guardado
+      if (await cache.match(key)) return;
+      await cache.put(key, response);
+    })
+  );
+
+  await IDB.setMeta(PRECACHE_VALIDATORS_META, nextValidators);
+  return keys;
+}
+
+async function fetchForPrecache(url, options) {
+  const response = await fetch(url, options);
+  // Un 304 solo llega si se mandaron validadores, así que la copia anterior sigue en la cache
+  const notModified = response.status === 304 && options.headers && Object.keys(options.headers).length > 0;
+  if (!response.ok && !notModified) throw new Error(`No se pudo guardar ${url}: ${response.status}`);
+  return response;
+}
+
+async function hashResponse(response) {
+  const digest = await crypto.subtle.digest("SHA-256", await response.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0"))
+    .join("")
+    .slice(0, 12);
+}
+
+function samePrecacheKeys(a, b) {
+  return PRECACHE_URLS.every(url => a[url] === b[url]);
+}
+
+/**
+ * Pasa a usar las revisiones descargadas y borra de la cache las que ya no se usan.
+ */
+async function applyPrecacheUpdate() {
+  const next = await IDB.getMeta(PRECACHE_NEXT_META);
+  if (next) {
+    await IDB.setMeta(PRECACHE_KEYS_META, next);
+    await IDB.deleteMeta(PRECACHE_NEXT_META);
+    precacheKeys = Promise.resolve(next);
+  }
+
+  const current = new Set(Object.values(await getPrecacheKeys()));
+  const cache = await caches.open(PRECACHE);
+  const requests = await cache.keys();
+  await Promise.all(
+    requests
+      .filter(request => !current.has(request.url))
+      .map(request => cache.delete(request))
+  );
+}
+
+/**
+ * El navegador solo busca una versión nueva si cambia sw.js. Si cambió otro archivo,
+ * se descarga aquí y se avisa a las páginas para que muestren "Nueva versión disponible".
+ */
+async function checkForUpdates() {
+  const checkedAt = await IDB.getMeta(PRECACHE_CHECKED_META);
+  if (!checkedAt || Date.now() - checkedAt >= PRECACHE_CHECK_INTERVAL) {
+    await IDB.setMeta(PRECACHE_CHECKED_META, Date.now());
+    const keys = await precacheFiles();
+    if (!samePrecacheKeys(keys, await getPrecacheKeys())) {
+      await IDB.setMeta(PRECACHE_NEXT_META, keys);
+    }
+  }
+
+  // Si hay un Service Worker nuevo esperando, el aviso lo muestra la página al verlo
+  const next = await IDB.getMeta(PRECACHE_NEXT_META);
+  if (next && !self.registration.waiting && !self.registration.installing) {
+    await notifyClients({ type: "UPDATE_AVAILABLE" });
+  }
+}
+
 // -------------------------------------------
-// ACTIVATE → limpieza de caches viejos
+// ACTIVATE → limpieza de caches y revisiones viejas
 // -------------------------------------------
 self.addEventListener("activate", event => {
-  event.waitUntil(
-    caches.keys().then(keys => 
-      Promise.all(
-        keys
-          .filter(key => key !== CACHE_NAME && key !== API_CACHE)
-          .map(key => caches.delete(key))
-      )
-    )
-  );
-  self.clients.claim();
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(
+      keys
+        .filter(key => ![PRECACHE, API_CACHE, EVIDENCE_CACHE, TILE_CACHE].includes(key))
+        .map(key => caches.delete(key))
+    );
+
+    await applyPrecacheUpdate();
+    await self.clients.claim();
+  })());
 });
 
 // -------------------------------------------
@@ -51,17 +247,32 @@ self.addEventListener("fetch", event => {
   const request = event.request;
   const url = new URL(request.url);
 
-  // Archivos estáticos → Cache first
-  if (STATIC_ASSETS.includes(url.pathname)) {
+  // Archivos de la app → Cache first (revisiones en uso)
+  const precacheUrl = request.method === "GET" && getPrecacheUrl(url);
+  if (precacheUrl) {
     event.respondWith(
-      caches.match(url.pathname).then(res => res || fetch(request))
+      Promise.all([caches.open(PRECACHE), getPrecacheKeys()])
+        .then(([cache, keys]) => (keys[precacheUrl] ? cache.match(keys[precacheUrl]) : undefined))
+        .then(res => res || fetch(request))
     );
     return;
   }
 
   // API → Network first, fallback a cache
-  if (url.href.startsWith(API_BASE)) {
-    event.respondWith(apiNetworkThenCache(request));
+  if (url.href.startsWith(config.apiBaseUrl)) {
+    event.respondWith(apiNetworkThenCache(event));
+    return;
+  }
+
+  // Fotos de evidencia → Cache first con límite de tamaño (LRU)
+  if (isEvidenceRequest(url)) {
+    event.respondWith(lruCacheFirst(request, EVIDENCE_CACHE, EVIDENCE_CACHE_LIMIT));
+    return;
+  }
+
+  // Mosaicos del mapa → Cache first con límite de tamaño (LRU)
+  if (isMapTileRequest(url)) {
+    event.respondWith(lruCacheFirst(request, TILE_CACHE, TILE_CACHE_LIMIT));
     return;
   }
 
@@ -72,52 +283,307 @@ self.addEventListener("fetch", event => {
 // -------------------------------------------
 // MÉTODO PARA API CACHE
 // -------------------------------------------
-async function apiNetworkThenCache(request) {
-  try {
-    const networkResponse = await fetch(request);
+async function apiNetworkThenCache(event) {
+  const request = event.request;
+  const network = fetch(request).then(async networkResponse => {
+    // Guarda en cache solo GET válidos (y si la petición no pidió no-store)
+    if (request.method === "GET" && networkResponse.ok && request.cache !== "no-store") {
+      await cacheApiResponse(request.url, networkResponse.clone());
+    }
+    return networkResponse;
+  });
 
-    // Guarda en cache solo si la respuesta es válida
-    if (networkResponse.ok) {
-      const cache = await caches.open(API_CACHE);
-      cache.put(request, networkResponse.clone());
+  try {
+    // Backend lento (p. ej. despertando): pasado el límite se responde con la copia
+    // guardada y la respuesta de la red solo actualiza la cache. Se marca "slow":
+    // hay conexión, la página no debe decir que está offline
+    const fallbackAfter = config.timeouts.apiCacheFallback;
+    if (request.method === "GET" && request.cache !== "no-store" && fallbackAfter) {
+      const cached = await caches.match(request, { cacheName: API_CACHE });
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return await Promise.race([
+          network,
+          new Promise(resolve => setTimeout(() => resolve(withCacheReason(cached, "slow")), fallbackAfter))
+        ]);
+      }
     }
 
-    return networkResponse;
+    return await network;
 
   } catch (error) {
-    // sin internet → devolver versión cacheada
-    const cached = await caches.match(request);
-
-    if (cached) return cached;
+    // sin internet → devolver versión cacheada (lleva X-CC-Fetched-At)
+    if (request.method === "GET") {
+      const cached = await caches.match(request, { cacheName: API_CACHE });
+      if (cached) return withCacheReason(cached, "offline");
+    }
 
-    // si no hay cache → devolver respuesta vacía
+    // si no hay cache → 503 marcado como offline; la página muestra su estado vacío
     return new Response(JSON.stringify({
-      ok: true,
-      offline: true,
-      message: "Datos cargados offline",
-      data: []
+      error: "offline",
+      message: "Sin conexión y sin datos guardados para esta petición"
     }), {
-      headers: { "Content-Type": "application/json" }
+      status: 503,
+      statusText: "Offline",
+      headers: { "Content-Type": "application/json", "X-CC-Offline": "1" }
     });
   }
 }
 
+// Copia guardada con el motivo por el que se sirve (X-CC-Cache-Reason):
+// "offline" (falló la red) o "slow" (el servidor tardó más de apiCacheFallback)
+function withCacheReason(response, reason) {
+  const headers = new Headers(response.headers);
+  headers.set("X-CC-Cache-Reason", reason);
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// Guarda una respuesta del API con la fecha en que se obtuvo del servidor
+async function cacheApiResponse(url, response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-CC-Fetched-At", new Date().toISOString());
+
+  const stamped = new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+
+  const cache = await caches.open(API_CACHE);
+  await cache.put(url, stamped);
+}
+
+// -------------------------------------------
+// EVIDENCIAS (IMÁGENES DE LOS REPORTES)
+// -------------------------------------------
+function isEvidenceRequest(url) {
+  return url.href.startsWith(config.assetBaseUrl) && !url.href.startsWith(config.apiBaseUrl);
+}
+
+function isMapTileRequest(url) {
+  return url.hostname.endsWith("tile.openstreetmap.org");
+}
+
+// Imágenes (evidencias, mosaicos del mapa): cache first y expulsión LRU al pasar maxBytes
+async function lruCacheFirst(request, cacheName, maxBytes) {
+  const cached = await CacheLRU.match(cacheName, request.url);
+  if (cached) return cached;
+
+  try {
+    const networkResponse = await fetch(request);
+    if (networkResponse.ok || networkResponse.type === "opaque") {
+      await CacheLRU.put(cacheName, request.url, networkResponse.clone(), maxBytes);
+    }
+    return networkResponse;
+  } catch (error) {
+    // Sin conexión y sin copia: la página muestra su propio aviso
+    return new Response(null, { status: 504, statusText: "No disponible offline" });
+  }
+}
+
+// Descarga a la cache las evidencias de un reporte abierto
+async function cacheEvidence(urls) {
+  for (const url of urls) {
+    if (await CacheLRU.match(EVIDENCE_CACHE, url)) continue;
+    try {
+      const response = await fetch(url, { mode: "no-cors" });
+      await CacheLRU.put(EVIDENCE_CACHE, url, response, EVIDENCE_CACHE_LIMIT);
+    } catch (error) {
+      /* Sin conexión: se intentará la próxima vez que se abra el reporte */
+    }
+  }
+}
+
 // -------------------------------------------
 // BACKGROUND SYNC
 // -------------------------------------------
 self.addEventListener("sync", event => {
-  if (event.tag === "sync-report-actions") {
-    event.waitUntil(processSyncQueue());
+  // El navegador lanza el sync cuando hay conexión
+  if (event.tag === SyncQueue.TAG) {
+    event.waitUntil(replaySyncQueue({ networkRestored: true }));
+  }
+});
+
+// Mensajes de las páginas
+self.addEventListener("message", event => {
+  // La página cambió el override de configuración (App.setConfigOverride)
+  if (event.data && event.data.type === "CONFIG_CHANGED") {
+    configReady = loadConfig();
+    event.waitUntil(configReady);
+  }
+
+  // El usuario aceptó "Nueva versión disponible — Actualizar"
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+
+  // Al abrir una página: ¿cambió algún archivo de la app sin cambiar sw.js?
+  if (event.data && event.data.type === "CHECK_FOR_UPDATES") {
+    event.waitUntil(checkForUpdates().catch(() => {
+      /* Sin conexión o un archivo falló: se revisa en la próxima página */
+    }));
+  }
+
+  // El usuario aceptó una actualización de archivos: todas las pestañas recargan
+  if (event.data && event.data.type === "APPLY_UPDATE") {
+    event.waitUntil(applyPrecacheUpdate().then(() => notifyClients({ type: "UPDATE_APPLIED" })));
+  }
+
+  if (event.data && event.data.type === "CACHE_EVIDENCE") {
+    event.waitUntil(cacheEvidence(event.data.urls || []));
+  }
+
+  // Al cerrar sesión: borrar los datos del API y evidencias del usuario anterior.
+  // La página espera la respuesta (por el puerto del mensaje) antes de salir.
+  if (event.data && event.data.type === "CLEAR_USER_CACHE") {
+    event.waitUntil(Promise.all([
+      caches.delete(API_CACHE),
+      CacheLRU.trim(EVIDENCE_CACHE, 0)
+    ]).finally(() => {
+      if (event.ports[0]) event.ports[0].postMessage({ type: "USER_CACHE_CLEARED" });
+    }));
+  }
+
+  // Botón "Descargar para offline"
+  if (event.data && event.data.type === "PREFETCH_OPEN_REPORTS") {
+    event.waitUntil(refreshOfflineSnapshot());
+  }
+
+  // Push de prueba sin servidor (App.simulatePush)
+  if (event.data && event.data.type === "SIMULATE_PUSH") {
+    event.waitUntil(showPushNotification(event.data.payload || {}));
+  }
+
+  // Reenvío de la cola cuando el navegador no soporta Background Sync
+  if (event.data && event.data.type === "REPLAY_SYNC_QUEUE") {
+    event.waitUntil(replaySyncQueue({ networkRestored: Boolean(event.data.networkRestored) }).catch(() => {
+      /* Se reintentará en el próximo evento online */
+    }));
   }
 });
 
-// Lee la cola desde el SW
-async function processSyncQueue() {
-  const clientsList = await self.clients.matchAll();
-  const client = clientsList[0];
+// Los fallos del reenvío en segundo plano quedan en el feed de notificaciones
+SyncQueue.subscribe(event => {
+  NotificationStore.recordSyncEvent(event).catch(() => {
+    /* No crítico */
+  });
+});
+
+// Reenvía la cola directamente desde IndexedDB, sin depender de una pestaña abierta
+async function replaySyncQueue({ networkRestored = false } = {}) {
+  await configReady;
+  const result = await SyncQueue.replay({ apiBase: config.apiBaseUrl, networkRestored });
 
-  // Pedirle a la página la cola actual
-  client.postMessage({ type: "SYNC_NOW" });
+  // Si algo falló, rechazar para que el navegador reintente el sync más tarde
+  if (result.failed > 0) {
+    throw new Error(`${result.failed} acciones pendientes de sincronizar`);
+  }
 }
 
+// -------------------------------------------
+// TURNO OFFLINE (PERIODIC BACKGROUND SYNC)
+// -------------------------------------------
+self.addEventListener("periodicsync", event => {
+  if (event.tag === OfflinePrefetch.TAG) {
+    event.waitUntil(refreshOfflineSnapshot());
+  }
+});
 
+async function refreshOfflineSnapshot() {
+  await notifyClients({ type: "OFFLINE_SNAPSHOT", status: "start" });
+  try {
+    await configReady;
+    const snapshot = await OfflinePrefetch.run({
+      apiBase: config.apiBaseUrl,
+      assetBase: config.assetBaseUrl,
+      cacheResponse: cacheApiResponse,
+      evidenceCache: EVIDENCE_CACHE,
+      evidenceLimit: EVIDENCE_CACHE_LIMIT,
+      onProgress: progress => notifyClients({ type: "OFFLINE_SNAPSHOT", status: "progress", ...progress })
+    });
+    await notifyClients({ type: "OFFLINE_SNAPSHOT", status: "done", snapshot });
+  } catch (error) {
+    await notifyClients({ type: "OFFLINE_SNAPSHOT", status: "error", error: error.message });
+  }
+}
+
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: "window" });
+  windows.forEach(client => client.postMessage(message));
+}
+
+// -------------------------------------------
+// NOTIFICACIONES PUSH
+// -------------------------------------------
+// Payload esperado: { type: "new-report" | "status-change", reportId, title, body, serviceType, estado, updatedAt }
+self.addEventListener("push", event => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : "" };
+  }
+  event.waitUntil(showPushNotification(payload));
+});
+
+// Las preferencias (tipos y eventos) las aplica el servidor al enviar: con userVisibleOnly
+// cada push debe mostrar una notificación, si no el navegador muestra la suya o quita el permiso.
+async function showPushNotification(payload) {
+  const reportId = payload.reportId ? String(payload.reportId) : null;
+  const title = payload.title || "Ciudad Conectada";
+  const body = payload.body || "";
+
+  // Mismo id que las notificaciones que genera la página, para no duplicarlas en el feed
+  const notificationId = payload.type === "new-report" && reportId
+    ? `new-report:${reportId}`
+    : payload.type === "status-change" && reportId
+      ? `status-change:${reportId}:${payload.updatedAt || payload.estado}`
+      : `push:${Date.now()}`;
+
+  await NotificationStore.add({
+    id: notificationId,
+    type: payload.type || "new-report",
+    title,
+    message: body,
+    reportId,
+  }).catch(() => {
+    /* No crítico */
+  });
+
+  await self.registration.showNotification(title, {
+    body,
+    icon: "/icons/icono_144x144.png",
+    badge: "/icons/icono_144x144.png",
+    tag: reportId ? `report-${reportId}` : undefined,
+    data: { reportId, notificationId, url: payload.url || null }
+  });
+}
+
+// Clic en la notificación → enfocar la pestaña del reporte o abrirla
+self.addEventListener("notificationclick", event => {
+  event.notification.close();
+
+  const { reportId, notificationId, url } = event.notification.data || {};
+  const target = new URL(
+    url || (reportId ? `/DetalleReporte.html?id=${encodeURIComponent(reportId)}` : "/Notificaciones.html"),
+    self.location.origin
+  ).href;
+
+  event.waitUntil((async () => {
+    if (notificationId) {
+      await NotificationStore.markRead(notificationId).catch(() => {
+        /* No crítico */
+      });
+    }
+
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const existing = windows.find(client => client.url === target);
+    if (existing) return existing.focus();
+
+    return self.clients.openWindow(target);
+  })());
+});
@@ -0,0 +1,512 @@
+/**
+ * Cola de sincronización offline guardada en IndexedDB.
+ * La usa el Service Worker para reenviar las acciones durante Background Sync
+ * (aunque no haya ninguna pestaña abierta) y las páginas para encolar acciones,
+ * leer la cola y seguir su progreso.
+ * Depende de idb.js.
+ */
+self.SyncQueue = {
+  STORE: "syncQueue",
+  DEAD_LETTER_STORE: "deadLetter",
+  // Meta con el id del usuario que tiene la sesión abierta (lo guarda la página al iniciar sesión)
+  USER_META_KEY: "authUserId",
+  TAG: "sync-report-actions",
+  CHANNEL: "cc-sync-queue",
+
+  // Reintentos: espera exponencial entre BASE_DELAY y MAX_DELAY, hasta MAX_ATTEMPTS intentos
+  MAX_ATTEMPTS: 6,
+  BASE_DELAY: 5000,
+  MAX_DELAY: 60 * 60 * 1000,
+  // Sin conexión no se gastan intentos: solo se espera, como mucho OFFLINE_MAX_DELAY
+  OFFLINE_MAX_DELAY: 5 * 60 * 1000,
+
+  _channel: null,
+  _listeners: [],
+  _replaying: null,
+
+  // --- EVENTOS ---
+  /**
+   * Canal compartido entre pestañas y Service Worker para avisar cambios en la cola.
+   */
+  _getChannel() {
+    if (!this._channel && "BroadcastChannel" in self) {
+      this._channel = new BroadcastChannel(this.CHANNEL);
+      this._channel.onmessage = (event) => this._notifyLocal(event.data);
+    }
+    return this._channel;
+  },
+
+  _notifyLocal(event) {
+    this._listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error("Error en listener de la cola de sincronización:", error);
+      }
+    });
+  },
+
+  /**
+   * Emite un evento a este contexto y a los demás (pestañas y Service Worker).
+   * @param {object} event - { type: 'queued' | 'removed' | 'start' | 'progress' | 'conflict' | 'dead-letter' | 'done', ... }
+   */
+  _emit(event) {
+    this._notifyLocal(event);
+    const channel = this._getChannel();
+    if (channel) channel.postMessage(event);
+  },
+
+  /**
+   * Registra un listener para los eventos de la cola.
+   * @param {function} listener - Recibe el evento emitido.
+   */
+  subscribe(listener) {
+    this._getChannel();
+    this._listeners.push(listener);
+  },
+
+  // --- LECTURA Y ESCRITURA ---
+  /**
+   * Genera un id único por acción. El servidor lo recibe como clave de idempotencia.
+   */
+  createId() {
+    if (self.crypto && typeof crypto.randomUUID === "function") {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  },
+
+  /**
+   * Obtiene el id del reporte al que afecta una acción, para mantener el orden por reporte.
+   */
+  getReportId(action) {
+    if (action.reportId) return String(action.reportId);
+    const match = /\/reports\/([^/?]+)/i.exec(action.url || "");
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Cada acción pertenece al usuario que la creó. Si otro inicia sesión en el mismo
+   * dispositivo, las acciones se conservan pero no se muestran ni se reenvían con su token.
+   * Las acciones sin usuario (anteriores a este campo) son de quien tenga la sesión.
+   */
+  isOwnAction(action, userId) {
+    return !action.userId || action.userId === userId;
+  },
+
+  async _getUserId() {
+    return (await IDB.getMeta(this.USER_META_KEY)) || null;
+  },
+
+  /**
+   * Agrega una acción a la cola.
+   * @param {object} action - { url, method, body | multipart, reportId } con url relativa a la API.
+   * @returns {Promise<object>} - La acción guardada.
+   */
+  async enqueue(action) {
+    const item = {
+      ...action,
+      id: this.createId(),
+      userId: await this._getUserId(),
+      reportId: this.getReportId(action),
+      createdAt: new Date().toISOString(),
+      // Marca de tiempo de alta resolución para ordenar acciones creadas en el mismo milisegundo
+      order: performance.timeOrigin + performance.now(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+    };
+    await IDB.put(this.STORE, item);
+    this._emit({ type: "queued", action: item });
+    return item;
+  },
+
+  /**
+   * Devuelve las acciones pendientes del usuario actual en orden de llegada.
+   */
+  async getAll() {
+    const [items, userId] = await Promise.all([IDB.getAll(this.STORE), this._getUserId()]);
+    return items
+      .filter((action) => this.isOwnAction(action, userId))
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+  },
+
+  async count() {
+    return (await this.getAll()).length;
+  },
+
+  async remove(id) {
+    await IDB.delete(this.STORE, id);
+    this._emit({ type: "removed", id });
+  },
+
+  /**
+   * Modifica una acción que sigue en cola (ej. editar una nota que aún no se envía).
+   * @param {string} id - Id de la acción.
+   * @param {object} changes - Campos a reemplazar.
+   */
+  async update(id, changes) {
+    const action = await IDB.get(this.STORE, id);
+    if (!action) return null;
+    const updated = { ...action, ...changes };
+    await IDB.put(this.STORE, updated);
+    this._emit({ type: "queued", action: updated });
+    return updated;
+  },
+
+  /**
+   * Quita la espera de una acción para que se envíe en el próximo reenvío.
+   */
+  async retryNow(id) {
+    const action = await IDB.get(this.STORE, id);
+    if (!action) return;
+    action.nextAttemptAt = 0;
+    await IDB.put(this.STORE, action);
+    this._emit({ type: "queued", action });
+  },
+
+  // --- CONFLICTOS ---
+  /**
+   * Acciones detenidas porque el reporte cambió en el servidor mientras estaban en cola.
+   * @param {string} [reportId] - Si se indica, solo las de ese reporte.
+   */
+  async getConflicts(reportId) {
+    const items = await this.getAll();
+    return items.filter(
+      (action) =>
+        action.status === "conflict" &&
+        (!reportId || this.getReportId(action) === String(reportId))
+    );
+  },
+
+  /**
+   * Resuelve un conflicto.
+   * - "keep": se vuelve a enviar el cambio local sobre el estado actual del servidor.
+   * - "accept": se adopta el estado del servidor; se descartan el cambio local y los
+   *   cambios de estado posteriores del mismo reporte, que partían de él. Las notas y
+   *   fotos en cola no dependen del estado y se conservan.
+   * - "discard": se descarta solo el cambio local; las acciones posteriores siguen en cola.
+   * @param {string} id - Id de la acción en conflicto.
+   * @param {"keep"|"accept"|"discard"} resolution
+   */
+  async resolveConflict(id, resolution) {
+    const action = await IDB.get(this.STORE, id);
+    if (!action || action.status !== "conflict") return;
+
+    if (resolution === "keep") {
+      const { status, conflict, expectedEstado, expectedVersion, ...rest } = action;
+      const updated = { ...rest, nextAttemptAt: 0, lastError: null };
+      // Si se conoce el estado del servidor, se sigue vigilando a partir de él
+      if (conflict.serverEstado) {
+        updated.expectedEstado = conflict.serverEstado;
+        updated.expectedVersion = conflict.serverVersion;
+      }
+      await IDB.put(this.STORE, updated);
+      this._emit({ type: "queued", action: updated });
+      return;
+    }
+
+    if (resolution === "accept") {
+      const reportId = this.getReportId(action);
+      const later = (await this.getAll()).filter(
+        (item) =>
+          item.type === "status-change" &&
+          this.getReportId(item) === reportId &&
+          item.order > action.order
+      );
+      for (const item of later) {
+        await this.remove(item.id);
+      }
+    }
+
+    await this.remove(id);
+  },
+
+  /**
+   * Compara el estado que se conocía al encolar la acción con el actual del servidor.
+   * @returns {Promise<{conflict: boolean, alreadyApplied: boolean, serverEstado?: string, serverVersion?: string}>}
+   */
+  async _checkConflict(action, apiBase, token) {
+    const reportId = this.getReportId(action);
+    const headers = {};
+    if (token) headers["Authorization"] = `Bearer ${token}`;
+
+    const response = await fetch(`${apiBase}/Reports/${reportId}`, { headers, cache: "no-store" });
+    if (!response.ok) {
+      const error = new Error(`Error ${response.status} al consultar el reporte ${reportId}`);
+      error.status = this.isOfflineResponse(response) ? 0 : response.status;
+      throw error;
+    }
+
+    const report = await response.json();
+    const serverEstado = report.estado;
+    const serverVersion = report.updatedAt || null;
+    const targetEstado = action.body && action.body.estado;
+
+    return {
+      conflict: serverEstado !== action.expectedEstado && serverEstado !== targetEstado,
+      alreadyApplied: serverEstado === targetEstado,
+      serverEstado,
+      serverVersion,
+    };
+  },
+
+  async _markConflict(action, serverEstado, serverVersion) {
+    action.status = "conflict";
+    action.conflict = {
+      serverEstado,
+      serverVersion,
+      detectedAt: new Date().toISOString(),
+    };
+    await IDB.put(this.STORE, action);
+    this._emit({ type: "conflict", action });
+  },
+
+  // --- ACCIONES RECHAZADAS (DEAD LETTER) ---
+  /**
+   * Acciones que el servidor rechazó de forma permanente o que agotaron los intentos.
+   */
+  async getDeadLetters() {
+    const [items, userId] = await Promise.all([IDB.getAll(this.DEAD_LETTER_STORE), this._getUserId()]);
+    return items
+      .filter((action) => this.isOwnAction(action, userId))
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+  },
+
+  /**
+   * Devuelve una acción rechazada a la cola, con los intentos reiniciados.
+   */
+  async requeueDeadLetter(id) {
+    const action = await IDB.get(this.DEAD_LETTER_STORE, id);
+    if (!action) return;
+    // Vuelve como recién encolada: el centro de sincronización no debe mostrar los intentos viejos
+    const { failedAt, status, ...rest } = action;
+    const requeued = { ...rest, attempts: 0, nextAttemptAt: 0, lastError: null };
+    await IDB.put(this.STORE, requeued);
+    await IDB.delete(this.DEAD_LETTER_STORE, id);
+    this._emit({ type: "queued", action: requeued });
+  },
+
+  async discardDeadLetter(id) {
+    await IDB.delete(this.DEAD_LETTER_STORE, id);
+    this._emit({ type: "removed", id });
+  },
+
+  async _moveToDeadLetter(action, status, error) {
+    const entry = {
+      ...action,
+      status,
+      lastError: error,
+      failedAt: new Date().toISOString(),
+    };
+    await IDB.put(this.DEAD_LETTER_STORE, entry);
+    await IDB.delete(this.STORE, action.id);
+    this._emit({ type: "dead-letter", action: entry });
+  },
+
+  // --- REENVÍO ---
+  /**
+   * Errores 4xx que no tiene sentido reintentar (el servidor rechazó la acción).
+   * 401 se trata aparte; 408 y 429 son temporales.
+   */
+  isPermanentFailure(status) {
+    return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+  },
+
+  /**
+   * 503 que genera el Service Worker cuando no hay red (cabecera X-CC-Offline):
+   * no es una respuesta del servidor.
+   */
+  isOfflineResponse(response) {
+    return Boolean(response.headers && response.headers.get("X-CC-Offline"));
+  },
+
+  /**
+   * Espera antes del siguiente intento: exponencial con ±20% de variación aleatoria.
+   * @param {number} attempts - Intentos fallidos hasta ahora.
+   * @param {number} [maxDelay] - Espera máxima.
+   */
+  getBackoffDelay(attempts, maxDelay = this.MAX_DELAY) {
+    const delay = Math.min(this.BASE_DELAY * 2 ** (attempts - 1), maxDelay);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  },
+
+  /**
+   * Envía a la API las acciones pendientes y elimina las que se completaron.
+   * Si ya hay un reenvío en curso en este contexto, devuelve ese mismo.
+   * @param {object} options - { apiBase, networkRestored } URL base de la API y si se llama
+   *   porque volvió la conexión (las acciones que esperaban la red no aguardan su espera).
+   * @returns {Promise<{sent: number, failed: number, deadLettered: number, conflicts: number, remaining: number}>}
+   */
+  replay(options) {
+    if (!this._replaying) {
+      this._replaying = this._replay(options).finally(() => {
+        this._replaying = null;
+      });
+    }
+    return this._replaying;
+  },
+
+  async _replay({ apiBase, networkRestored = false }) {
+    // Solo las acciones del usuario con la sesión abierta: se envían con su token
+    const queue = await this.getAll();
+    const result = {
+      sent: 0,
+      failed: 0,
+      deadLettered: 0,
+      conflicts: 0,
+      remaining: 0,
+      authRequired: false,
+    };
+    if (queue.length === 0) return result;
+
+    this._emit({ type: "start", total: queue.length });
+
+    const token = await IDB.getMeta("authToken");
+    const now = Date.now();
+
+    // Reportes con una acción pendiente por delante: sus acciones siguientes esperan
+    const blockedReports = new Set();
+
+    for (const action of queue) {
+      const reportId = this.getReportId(action);
+
+      if (
+        result.authRequired ||
+        (reportId && blockedReports.has(reportId)) ||
+        action.status === "conflict" ||
+        (action.nextAttemptAt > now && !(networkRestored && action.offline))
+      ) {
+        if (reportId) blockedReports.add(reportId);
+        result.remaining++;
+        continue;
+      }
+
+      // Cambios de estado: detectar si otro usuario modificó el reporte mientras tanto
+      let outcome = null;
+      if (action.expectedEstado !== undefined && reportId) {
+        try {
+          const check = await this._checkConflict(action, apiBase, token);
+          if (check.conflict) {
+            await this._markConflict(action, check.serverEstado, check.serverVersion);
+            blockedReports.add(reportId);
+            result.conflicts++;
+            result.remaining++;
+            continue;
+          }
+          // El servidor ya tiene el estado destino: no hace falta reenviar
+          if (check.alreadyApplied) outcome = { ok: true, status: 200 };
+        } catch (error) {
+          outcome = { ok: false, status: error.status || 0, error: error.message };
+        }
+      }
+
+      if (!outcome) outcome = await this._send(action, apiBase, token);
+
+      // El servidor también puede detectar el conflicto por su cuenta
+      if (outcome.status === 409 || outcome.status === 412) {
+        await this._markConflict(action, null, null);
+        if (reportId) blockedReports.add(reportId);
+        result.conflicts++;
+        result.remaining++;
+        continue;
+      }
+
+      if (outcome.ok) {
+        await IDB.delete(this.STORE, action.id);
+        result.sent++;
+        this._emit({ type: "progress", id: action.id, ok: true, actionType: action.type });
+        continue;
+      }
+
+      // Sin sesión válida: no se gasta un intento, se espera a que el usuario vuelva a entrar
+      if (outcome.status === 401) {
+        result.authRequired = true;
+        result.remaining++;
+        if (reportId) blockedReports.add(reportId);
+        this._emit({ type: "progress", id: action.id, ok: false, error: outcome.error });
+        continue;
+      }
+
+      // Sin conexión (status 0): la acción no falló, se espera a la red sin gastar intentos
+      if (outcome.status === 0) {
+        action.offline = true;
+        action.offlineRetries = (action.offlineRetries || 0) + 1;
+        action.nextAttemptAt =
+          Date.now() + this.getBackoffDelay(action.offlineRetries, this.OFFLINE_MAX_DELAY);
+      } else {
+        action.offline = false;
+        action.offlineRetries = 0;
+        action.attempts = (action.attempts || 0) + 1;
+
+        if (this.isPermanentFailure(outcome.status) || action.attempts >= this.MAX_ATTEMPTS) {
+          await this._moveToDeadLetter(action, outcome.status, outcome.error);
+          result.deadLettered++;
+          continue;
+        }
+        action.nextAttemptAt = Date.now() + this.getBackoffDelay(action.attempts);
+      }
+
+      action.lastError = outcome.error;
+      await IDB.put(this.STORE, action);
+      if (reportId) blockedReports.add(reportId);
+      result.failed++;
+      result.remaining++;
+      this._emit({ type: "progress", id: action.id, ok: false, error: outcome.error });
+    }
+
+    this._emit({ type: "done", ...result });
+    return result;
+  },
+
+  /**
+   * Reconstruye el FormData de una petición multipart guardada en la cola.
+   * @param {object} multipart - { fields: { nombre: valor }, files: [{ field, blob, filename }] }
+   */
+  buildFormData(multipart) {
+    const formData = new FormData();
+    Object.entries(multipart.fields || {}).forEach(([name, value]) => {
+      formData.append(name, value);
+    });
+    (multipart.files || []).forEach((file) => {
+      formData.append(file.field, file.blob, file.filename);
+    });
+    return formData;
+  },
+
+  /**
+   * Envía una acción a la API.
+   * @returns {Promise<{ok: boolean, status?: number, error?: string}>} - status 0 si no hubo conexión.
+   */
+  async _send(action, apiBase, token) {
+    const config = {
+      method: action.method || "POST",
+      headers: { "Idempotency-Key": action.id },
+    };
+    if (token) config.headers["Authorization"] = `Bearer ${token}`;
+
+    if (action.multipart) {
+      // Peticiones multipart (ej. fotos de evidencia): el navegador pone el Content-Type con el boundary
+      config.body = this.buildFormData(action.multipart);
+    } else {
+      config.headers["Content-Type"] = "application/json";
+      if (action.body) config.body = JSON.stringify(action.body);
+    }
+
+    try {
+      const response = await fetch(`${apiBase}${action.url}`, config);
+      if (response.ok) return { ok: true, status: response.status };
+      if (this.isOfflineResponse(response)) return { ok: false, status: 0, error: "Sin conexión" };
+
+      const errorText = await response.text().catch(() => "");
+      return {
+        ok: false,
+        status: response.status,
+        error: `Error ${response.status}${errorText ? `: ${errorText}` : ""}`,
+      };
+    } catch (error) {
+      console.error("Error al sincronizar la acción:", action, error);
+      return { ok: false, status: 0, error: error.message || "Sin conexión" };
+    }
+  },
+};
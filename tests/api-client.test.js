@@ -0,0 +1,179 @@
+/**
+ * Pruebas de api-client.js: errores tipados según la respuesta, reintentos y tiempo límite.
+ *   npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, createFetch, jsonResponse } = require("./helpers");
+
+const URL_REPORTS = "https://api.test/api/Reports";
+
+/**
+ * ApiClient con un fetch falso. Las esperas entre reintentos se dejan en 0 ms.
+ */
+function setup(handler) {
+  const fetch = createFetch(handler);
+  const { ApiClient } = loadScripts(["api-client.js"], { fetch });
+  ApiClient.RETRY_BASE_DELAY = 0;
+  ApiClient.RETRY_MAX_DELAY = 0;
+  return { ApiClient, fetch };
+}
+
+/**
+ * Respuestas en orden; la última se repite.
+ */
+function sequence(...responses) {
+  let index = 0;
+  return () => {
+    const next = responses[Math.min(index++, responses.length - 1)];
+    return typeof next === "function" ? next() : next.clone();
+  };
+}
+
+const networkFailure = () => {
+  throw new TypeError("Failed to fetch");
+};
+
+test("devuelve el JSON de una respuesta correcta", async () => {
+  const { ApiClient } = setup(() => jsonResponse(200, [{ id: 1 }]));
+  assert.deepEqual(await ApiClient.request(URL_REPORTS), [{ id: 1 }]);
+});
+
+test("devuelve el texto si la respuesta no es JSON", async () => {
+  const { ApiClient } = setup(() => new Response("ok", { status: 200 }));
+  assert.equal(await ApiClient.request(URL_REPORTS), "ok");
+});
+
+test("elige el tipo de error según el código HTTP", async () => {
+  const cases = [
+    [401, "AuthError"],
+    [403, "AuthError"],
+    [400, "ValidationError"],
+    [422, "ValidationError"],
+    [404, "ApiError"],
+    [409, "ApiError"],
+    [500, "ServerError"],
+  ];
+
+  for (const [status, name] of cases) {
+    const { ApiClient } = setup(() => jsonResponse(status, { message: `detalle ${status}` }));
+    await assert.rejects(ApiClient.request(URL_REPORTS, { method: "POST" }), (error) => {
+      assert.ok(error instanceof ApiClient[name], `${status} → ${name}`);
+      assert.ok(error instanceof ApiClient.ApiError);
+      assert.equal(error.status, status);
+      assert.equal(error.message, `detalle ${status}`);
+      return true;
+    });
+  }
+});
+
+test("ValidationError expone los errores por campo", async () => {
+  const { ApiClient } = setup(() => jsonResponse(422, { errors: { email: "Correo inválido" } }));
+  await assert.rejects(ApiClient.request(URL_REPORTS, { method: "POST" }), (error) => {
+    assert.ok(error instanceof ApiClient.ValidationError);
+    assert.deepEqual({ ...error.fields }, { email: "Correo inválido" });
+    return true;
+  });
+});
+
+test("el 503 del Service Worker sin conexión es un NetworkError y no se reintenta", async () => {
+  const { ApiClient, fetch } = setup(() =>
+    jsonResponse(503, { error: "offline" }, { "X-CC-Offline": "1" })
+  );
+  await assert.rejects(ApiClient.request(URL_REPORTS), (error) => {
+    assert.ok(error instanceof ApiClient.NetworkError);
+    assert.equal(error.offline, true);
+    assert.equal(error.status, 503);
+    return true;
+  });
+  assert.equal(fetch.calls.length, 1);
+});
+
+test("un fallo de red es un NetworkError y los GET se reintentan", async () => {
+  const { ApiClient, fetch } = setup(networkFailure);
+  await assert.rejects(ApiClient.request(URL_REPORTS), (error) => {
+    assert.ok(error instanceof ApiClient.NetworkError);
+    assert.equal(error.offline, true);
+    assert.equal(error.status, 0);
+    return true;
+  });
+  assert.equal(fetch.calls.length, ApiClient.MAX_RETRIES + 1);
+});
+
+test("los métodos que no son idempotentes no se reintentan", async () => {
+  const { ApiClient, fetch } = setup(() => jsonResponse(503, {}));
+  await assert.rejects(ApiClient.request(URL_REPORTS, { method: "POST" }), ApiClient.ServerError);
+  assert.equal(fetch.calls.length, 1);
+});
+
+test("un GET se reintenta ante 502/503/504 y devuelve la respuesta que llega bien", async () => {
+  const { ApiClient, fetch } = setup(sequence(jsonResponse(503, {}), jsonResponse(200, { ok: true })));
+  assert.deepEqual(await ApiClient.request(URL_REPORTS), { ok: true });
+  assert.equal(fetch.calls.length, 2);
+});
+
+test("no se reintentan los errores que no son temporales", async () => {
+  const { ApiClient, fetch } = setup(() => jsonResponse(404, {}));
+  await assert.rejects(ApiClient.request(URL_REPORTS), ApiClient.ApiError);
+  assert.equal(fetch.calls.length, 1);
+});
+
+test("retries limita los reintentos de una petición", async () => {
+  const { ApiClient, fetch } = setup(() => jsonResponse(502, {}));
+  await assert.rejects(ApiClient.request(URL_REPORTS, { retries: 0 }), ApiClient.ServerError);
+  assert.equal(fetch.calls.length, 1);
+});
+
+test("la espera respeta Retry-After, con el máximo de RETRY_MAX_DELAY", async () => {
+  const { ApiClient } = setup(() => jsonResponse(429, {}, { "Retry-After": "2" }));
+  ApiClient.RETRY_MAX_DELAY = 5000;
+  await assert.rejects(ApiClient.request(URL_REPORTS, { retries: 0 }), (error) => {
+    assert.equal(error.retryAfter, 2000);
+    return true;
+  });
+  assert.equal(ApiClient.getRetryDelay(0, 2000), 2000);
+  assert.equal(ApiClient.getRetryDelay(0, 60000), 5000);
+});
+
+test("sin Retry-After la espera es aleatoria hasta el tope exponencial", () => {
+  const { ApiClient } = setup(() => jsonResponse(200, {}));
+  ApiClient.RETRY_BASE_DELAY = 500;
+  ApiClient.RETRY_MAX_DELAY = 5000;
+  for (let attempt = 0; attempt < 6; attempt++) {
+    const delay = ApiClient.getRetryDelay(attempt);
+    assert.ok(delay >= 0 && delay <= Math.min(500 * 2 ** attempt, 5000));
+  }
+});
+
+test("pasado el tiempo límite se lanza TimeoutError", async () => {
+  const { ApiClient } = setup((url, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener("abort", () => reject(new DOMException("abortado", "AbortError")));
+  }));
+  await assert.rejects(ApiClient.request(URL_REPORTS, { timeout: 10, retries: 0 }), (error) => {
+    assert.ok(error instanceof ApiClient.TimeoutError);
+    return true;
+  });
+});
+
+test("cancelar con signal rechaza con AbortError, no con un ApiError", async () => {
+  const controller = new AbortController();
+  const { ApiClient, fetch } = setup((url, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener("abort", () => reject(new DOMException("abortado", "AbortError")));
+  }));
+  const request = ApiClient.request(URL_REPORTS, { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(request, (error) => {
+    assert.ok(ApiClient.isAbort(error));
+    assert.ok(!(error instanceof ApiClient.ApiError));
+    return true;
+  });
+  assert.equal(fetch.calls.length, 1);
+});
+
+test("onResponse recibe cada respuesta (p. ej. para leer X-CC-Fetched-At)", async () => {
+  const seen = [];
+  const { ApiClient } = setup(sequence(jsonResponse(503, {}), jsonResponse(200, {})));
+  await ApiClient.request(URL_REPORTS, { onResponse: (response) => seen.push(response.status) });
+  assert.deepEqual(seen, [503, 200]);
+});
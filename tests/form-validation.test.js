@@ -0,0 +1,57 @@
+/**
+ * Pruebas de las reglas de form-validation.js (las que no dependen del DOM).
+ *   npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./helpers");
+
+const { FormValidation } = loadScripts(["form-validation.js"]);
+
+test("required rechaza valores vacíos o solo con espacios", () => {
+  const rule = FormValidation.required();
+  assert.ok(rule(""));
+  assert.ok(rule("   "));
+  assert.equal(rule("Ana"), null);
+});
+
+test("email acepta correos válidos y deja pasar el vacío (lo revisa required)", () => {
+  const rule = FormValidation.email();
+  assert.equal(rule(""), null);
+  assert.equal(rule("nombre@dominio.com"), null);
+  assert.ok(rule("nombre@dominio"));
+  assert.ok(rule("nombre dominio.com"));
+});
+
+test("password lista las reglas que faltan, igual que el servidor", () => {
+  const rule = FormValidation.password();
+  assert.equal(rule("Demo1234"), null);
+  assert.equal(rule(""), null);
+  assert.match(rule("demo"), /8 caracteres.*mayúscula.*número/);
+  assert.deepEqual([...FormValidation.getPasswordIssues("DEMO1234")], ["Una letra minúscula"]);
+});
+
+test("matches compara con otro campo del formulario", () => {
+  const rule = FormValidation.matches("password");
+  const form = { elements: { password: { value: "Demo1234" } } };
+  assert.equal(rule("Demo1234", form), null);
+  assert.ok(rule("Demo12345", form));
+});
+
+test("phone es opcional y acepta de 7 a 15 dígitos con separadores", () => {
+  const rule = FormValidation.phone();
+  assert.equal(rule(""), null);
+  assert.equal(rule("55 1234 5678"), null);
+  assert.equal(rule("+52 (55) 1234-5678"), null);
+  assert.ok(rule("123"));
+  assert.ok(rule("55-abc-5678"));
+  assert.ok(rule("1234567890123456"));
+});
+
+test("oneOfOptions solo acepta opciones del select", () => {
+  const rule = FormValidation.oneOfOptions();
+  const field = { options: [{ value: "" }, { value: "Inspector de agua" }] };
+  assert.equal(rule("Inspector de agua", null, field), null);
+  assert.equal(rule("", null, field), null);
+  assert.ok(rule("Supervisor", null, field));
+});
@@ -0,0 +1,110 @@
+/**
+ * Utilidades para las pruebas: cargan los scripts compartidos (los que se asignan a self.X)
+ * en un contexto aislado, como los carga el navegador o el Service Worker.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..");
+
+/**
+ * Ejecuta uno o varios scripts en un contexto nuevo y lo devuelve (ctx.SyncQueue, ctx.ApiClient…).
+ * @param {string[]} files - Rutas relativas a la raíz del proyecto.
+ * @param {object} globals - Globales que necesitan los scripts (fetch, IDB…).
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    URL,
+    URLSearchParams,
+    AbortController,
+    DOMException,
+    Headers,
+    Response,
+    performance,
+    crypto: globalThis.crypto,
+    ...globals,
+  });
+  context.self = context;
+
+  files.forEach((file) => {
+    const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  });
+  return context;
+}
+
+/**
+ * IndexedDB en memoria con la misma interfaz que idb.js.
+ */
+function createMemoryIDB() {
+  const stores = new Map();
+  const keyPaths = { meta: "key" };
+  const store = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+  return {
+    async getAll(name) {
+      return Array.from(store(name).values()).map(clone);
+    },
+    async get(name, key) {
+      return clone(store(name).get(key));
+    },
+    async put(name, value) {
+      store(name).set(value[keyPaths[name] || "id"], clone(value));
+    },
+    async addIfAbsent(name, value) {
+      const key = value[keyPaths[name] || "id"];
+      if (store(name).has(key)) return false;
+      store(name).set(key, clone(value));
+      return true;
+    },
+    async delete(name, key) {
+      store(name).delete(key);
+    },
+    async count(name) {
+      return store(name).size;
+    },
+    async clear(name) {
+      store(name).clear();
+    },
+    async getMeta(key) {
+      const entry = store("meta").get(key);
+      return entry ? entry.value : undefined;
+    },
+    async setMeta(key, value) {
+      store("meta").set(key, { key, value });
+    },
+    async deleteMeta(key) {
+      store("meta").delete(key);
+    },
+  };
+}
+
+/**
+ * fetch falso: cada petición se resuelve con handler(url, options) y queda en calls.
+ * El handler devuelve un Response, o lanza para simular un fallo de red.
+ */
+function createFetch(handler) {
+  const fakeFetch = async (url, options = {}) => {
+    fakeFetch.calls.push({ url: String(url), method: (options.method || "GET").toUpperCase(), options });
+    return handler(String(url), options);
+  };
+  fakeFetch.calls = [];
+  return fakeFetch;
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+module.exports = { ROOT, loadScripts, createMemoryIDB, createFetch, jsonResponse };
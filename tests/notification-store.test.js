@@ -0,0 +1,36 @@
+/**
+ * Pruebas de notification-store.js: sin duplicados y sin perder lo ya leído.
+ *   npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, createMemoryIDB } = require("./helpers");
+
+function setup() {
+  const IDB = createMemoryIDB();
+  const { NotificationStore } = loadScripts(["notification-store.js"], { IDB });
+  return { NotificationStore, IDB };
+}
+
+const statusChange = { id: "status-1-Resuelto", type: "status-change", title: "Reporte #1", message: "Resuelto" };
+
+test("add no duplica una notificación con el mismo id", async () => {
+  const { NotificationStore } = setup();
+
+  assert.equal(await NotificationStore.add(statusChange), true);
+  assert.equal(await NotificationStore.add(statusChange), false);
+  assert.equal((await NotificationStore.getAll()).length, 1);
+});
+
+test("add no vuelve a marcar como no leída una notificación que ya existía", async () => {
+  const { NotificationStore } = setup();
+  await NotificationStore.add(statusChange);
+  await NotificationStore.markRead(statusChange.id);
+
+  await NotificationStore.add({ ...statusChange, message: "otra vez" });
+
+  const [stored] = await NotificationStore.getAll();
+  assert.equal(stored.read, true);
+  assert.equal(stored.message, "Resuelto");
+  assert.equal(await NotificationStore.unreadCount(), 0);
+});
@@ -0,0 +1,292 @@
+/**
+ * Pruebas de sync-queue.js: orden por reporte, conflictos, reintentos y cola por usuario.
+ *   npm test
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, createMemoryIDB, createFetch, jsonResponse } = require("./helpers");
+
+const API = "https://api.test/api";
+
+/**
+ * SyncQueue con IndexedDB en memoria. routes: "MÉTODO /ruta" → (url, options) => Response;
+ * las peticiones sin ruta responden 200.
+ */
+function setup(routes = {}, { userId = "7" } = {}) {
+  const IDB = createMemoryIDB();
+  const fetch = createFetch((url, options) => {
+    const key = `${(options.method || "GET").toUpperCase()} ${url.replace(API, "")}`;
+    return routes[key] ? routes[key](url, options) : jsonResponse(200, {});
+  });
+  const { SyncQueue } = loadScripts(["sync-queue.js"], { IDB, fetch });
+  IDB.setMeta("authToken", "token");
+  if (userId) IDB.setMeta(SyncQueue.USER_META_KEY, userId);
+  return { SyncQueue, IDB, fetch };
+}
+
+const offline = () => {
+  throw new TypeError("Failed to fetch");
+};
+const swOffline = () => jsonResponse(503, { error: "offline" }, { "X-CC-Offline": "1" });
+
+function statusChange(reportId, estado, expectedEstado) {
+  return {
+    type: "status-change",
+    reportId,
+    url: `/Reports/${reportId}/estado`,
+    method: "PUT",
+    body: { estado },
+    expectedEstado,
+  };
+}
+
+function note(reportId, texto) {
+  return { type: "note-create", reportId, url: `/Reports/${reportId}/notas`, method: "POST", body: { texto } };
+}
+
+test("getAll devuelve las acciones en el orden en que se encolaron", async () => {
+  const { SyncQueue } = setup();
+  const first = await SyncQueue.enqueue(note("1", "a"));
+  const second = await SyncQueue.enqueue(note("2", "b"));
+  const third = await SyncQueue.enqueue(note("1", "c"));
+
+  assert.deepEqual((await SyncQueue.getAll()).map((action) => action.id), [first.id, second.id, third.id]);
+});
+
+test("una acción que falla detiene las siguientes de su reporte, no las de otros", async () => {
+  const { SyncQueue, fetch } = setup({
+    "POST /Reports/1/notas": () => jsonResponse(500, { message: "error" }),
+  });
+  const blocked = await SyncQueue.enqueue(note("1", "a"));
+  const waiting = await SyncQueue.enqueue(note("1", "b"));
+  await SyncQueue.enqueue(note("2", "c"));
+
+  const result = await SyncQueue.replay({ apiBase: API });
+
+  assert.equal(result.sent, 1);
+  assert.equal(result.failed, 1);
+  assert.equal(result.remaining, 2);
+  assert.deepEqual(fetch.calls.map((call) => call.url), [`${API}/Reports/1/notas`, `${API}/Reports/2/notas`]);
+  assert.deepEqual((await SyncQueue.getAll()).map((action) => action.id), [blocked.id, waiting.id]);
+});
+
+test("cada acción se envía con su id como clave de idempotencia", async () => {
+  const { SyncQueue, fetch } = setup();
+  const action = await SyncQueue.enqueue(note("1", "a"));
+
+  await SyncQueue.replay({ apiBase: API });
+
+  assert.equal(fetch.calls[0].options.headers["Idempotency-Key"], action.id);
+  assert.equal(fetch.calls[0].options.headers["Authorization"], "Bearer token");
+});
+
+test("el aviso de envío indica el tipo de acción", async () => {
+  const { SyncQueue } = setup();
+  const action = await SyncQueue.enqueue({ type: "avatar-upload", url: "/Users/7/avatar", method: "POST", body: {} });
+  const events = [];
+  SyncQueue.subscribe((event) => events.push(event));
+
+  await SyncQueue.replay({ apiBase: API });
+
+  const sent = events.find((event) => event.type === "progress");
+  assert.deepEqual({ ...sent }, { type: "progress", id: action.id, ok: true, actionType: "avatar-upload" });
+});
+
+test("un cambio de estado se marca en conflicto si el servidor cambió el reporte", async () => {
+  const { SyncQueue, fetch } = setup({
+    "GET /Reports/1": () => jsonResponse(200, { id: 1, estado: "Rechazado", updatedAt: "v2" }),
+  });
+  const action = await SyncQueue.enqueue(statusChange("1", "En Progreso", "Enviado"));
+  await SyncQueue.enqueue(note("1", "después del conflicto"));
+
+  const result = await SyncQueue.replay({ apiBase: API });
+
+  assert.equal(result.conflicts, 1);
+  assert.equal(result.sent, 0);
+  assert.deepEqual(fetch.calls.map((call) => call.method), ["GET"]);
+
+  const [conflict] = await SyncQueue.getConflicts("1");
+  assert.equal(conflict.id, action.id);
+  assert.equal(conflict.conflict.serverEstado, "Rechazado");
+});
+
+test("no se reenvía un cambio de estado que el servidor ya tiene", async () => {
+  const { SyncQueue, fetch } = setup({
+    "GET /Reports/1": () => jsonResponse(200, { id: 1, estado: "En Progreso" }),
+  });
+  await SyncQueue.enqueue(statusChange("1", "En Progreso", "Enviado"));
+
+  const result = await SyncQueue.replay({ apiBase: API });
+
+  assert.equal(result.sent, 1);
+  assert.deepEqual(fetch.calls.map((call) => call.method), ["GET"]);
+  assert.equal(await SyncQueue.count(), 0);
+});
+
+test("resolveConflict keep: se reenvía sobre el estado actual del servidor", async () => {
+  const { SyncQueue } = setup({
+    "GET /Reports/1": () => jsonResponse(200, { id: 1, estado: "En Espera", updatedAt: "v2" }),
+  });
+  const action = await SyncQueue.enqueue(statusChange("1", "Resuelto", "En Progreso"));
+  await SyncQueue.replay({ apiBase: API });
+
+  await SyncQueue.resolveConflict(action.id, "keep");
+
+  const [kept] = await SyncQueue.getAll();
+  assert.equal(kept.status, undefined);
+  assert.equal(kept.expectedEstado, "En Espera");
+  assert.equal(kept.expectedVersion, "v2");
+  assert.equal(kept.nextAttemptAt, 0);
+});
+
+test("resolveConflict accept: descarta los cambios de estado posteriores y conserva notas y fotos", async () => {
+  const { SyncQueue } = setup();
+  const conflicted = await SyncQueue.enqueue(statusChange("1", "En Progreso", "Enviado"));
+  const laterNote = await SyncQueue.enqueue(note("1", "nota offline"));
+  await SyncQueue.enqueue(statusChange("1", "Resuelto", "En Progreso"));
+  const photo = await SyncQueue.enqueue({
+    type: "evidence-upload",
+    reportId: "1",
+    url: "/Reports/1/evidencias",
+    method: "POST",
+    multipart: { fields: {}, files: [] },
+  });
+  const otherReport = await SyncQueue.enqueue(statusChange("2", "En Progreso", "Enviado"));
+  await SyncQueue._markConflict(conflicted, "Rechazado", null);
+
+  await SyncQueue.resolveConflict(conflicted.id, "accept");
+
+  assert.deepEqual(
+    (await SyncQueue.getAll()).map((action) => action.id),
+    [laterNote.id, photo.id, otherReport.id]
+  );
+});
+
+test("resolveConflict discard: solo se quita el cambio en conflicto", async () => {
+  const { SyncQueue } = setup();
+  const conflicted = await SyncQueue.enqueue(statusChange("1", "En Progreso", "Enviado"));
+  const later = await SyncQueue.enqueue(statusChange("1", "Resuelto", "En Progreso"));
+  await SyncQueue._markConflict(conflicted, "Rechazado", null);
+
+  await SyncQueue.resolveConflict(conflicted.id, "discard");
+
+  assert.deepEqual((await SyncQueue.getAll()).map((action) => action.id), [later.id]);
+});
+
+test("sin red no se gastan intentos: la acción nunca pasa a dead letter", async () => {
+  for (const failure of [offline, swOffline]) {
+    const { SyncQueue } = setup({ "POST /Reports/1/notas": failure });
+    await SyncQueue.enqueue(note("1", "a"));
+
+    for (let i = 0; i < SyncQueue.MAX_ATTEMPTS + 2; i++) {
+      const result = await SyncQueue.replay({ apiBase: API, networkRestored: true });
+      assert.equal(result.failed, 1);
+      assert.equal(result.deadLettered, 0);
+    }
+
+    const [action] = await SyncQueue.getAll();
+    assert.equal(action.attempts, 0);
+    assert.equal(action.offline, true);
+    assert.ok(action.nextAttemptAt > Date.now());
+    assert.ok(action.nextAttemptAt <= Date.now() + SyncQueue.OFFLINE_MAX_DELAY * 1.2);
+    assert.equal((await SyncQueue.getDeadLetters()).length, 0);
+  }
+});
+
+test("sin red, la espera se respeta hasta que vuelve la conexión", async () => {
+  let online = false;
+  const { SyncQueue, fetch } = setup({
+    "POST /Reports/1/notas": () => (online ? jsonResponse(201, {}) : offline()),
+  });
+  await SyncQueue.enqueue(note("1", "a"));
+  await SyncQueue.replay({ apiBase: API });
+
+  await SyncQueue.replay({ apiBase: API });
+  assert.equal(fetch.calls.length, 1, "dentro de la espera no se vuelve a intentar");
+
+  online = true;
+  const result = await SyncQueue.replay({ apiBase: API, networkRestored: true });
+  assert.equal(result.sent, 1);
+  assert.equal(await SyncQueue.count(), 0);
+});
+
+test("los errores del servidor gastan intentos hasta MAX_ATTEMPTS y pasan a dead letter", async () => {
+  const { SyncQueue, IDB } = setup({ "POST /Reports/1/notas": () => jsonResponse(500, {}) });
+  const { id } = await SyncQueue.enqueue(note("1", "a"));
+
+  for (let i = 1; i < SyncQueue.MAX_ATTEMPTS; i++) {
+    await SyncQueue.replay({ apiBase: API });
+    const action = await IDB.get(SyncQueue.STORE, id);
+    assert.equal(action.attempts, i);
+    // networkRestored no salta la espera de un error del servidor
+    await SyncQueue.replay({ apiBase: API, networkRestored: true });
+    assert.equal((await IDB.get(SyncQueue.STORE, id)).attempts, i);
+    await SyncQueue.retryNow(id);
+  }
+
+  const result = await SyncQueue.replay({ apiBase: API });
+  assert.equal(result.deadLettered, 1);
+  assert.equal(await SyncQueue.count(), 0);
+  assert.equal((await SyncQueue.getDeadLetters())[0].status, 500);
+});
+
+test("un rechazo permanente (4xx) pasa a dead letter al primer intento", async () => {
+  const { SyncQueue } = setup({ "POST /Reports/1/notas": () => jsonResponse(422, { errors: {} }) });
+  await SyncQueue.enqueue(note("1", "a"));
+
+  const result = await SyncQueue.replay({ apiBase: API });
+
+  assert.equal(result.deadLettered, 1);
+  assert.equal((await SyncQueue.getDeadLetters())[0].attempts, 1);
+});
+
+test("requeueDeadLetter devuelve la acción a la cola sin los intentos ni el error anteriores", async () => {
+  const { SyncQueue } = setup({ "POST /Reports/1/notas": () => jsonResponse(422, { message: "inválida" }) });
+  const { id } = await SyncQueue.enqueue(note("1", "a"));
+  await SyncQueue.replay({ apiBase: API });
+
+  const events = [];
+  SyncQueue.subscribe((event) => events.push(event));
+  await SyncQueue.requeueDeadLetter(id);
+
+  const [action] = await SyncQueue.getAll();
+  for (const requeued of [action, events[0].action]) {
+    assert.equal(requeued.attempts, 0);
+    assert.equal(requeued.nextAttemptAt, 0);
+    assert.equal(requeued.lastError, null);
+    assert.equal(requeued.status, undefined);
+  }
+  assert.equal(events[0].type, "queued");
+  assert.equal((await SyncQueue.getDeadLetters()).length, 0);
+});
+
+test("un 401 no gasta intentos y detiene el reenvío hasta iniciar sesión", async () => {
+  const { SyncQueue, fetch } = setup({ "POST /Reports/1/notas": () => jsonResponse(401, {}) });
+  await SyncQueue.enqueue(note("1", "a"));
+  await SyncQueue.enqueue(note("2", "b"));
+
+  const result = await SyncQueue.replay({ apiBase: API });
+
+  assert.equal(result.authRequired, true);
+  assert.equal(result.remaining, 2);
+  assert.equal(fetch.calls.length, 1);
+  assert.equal((await SyncQueue.getAll())[0].attempts, 0);
+});
+
+test("las acciones de otro usuario se conservan pero no se muestran ni se reenvían", async () => {
+  const { SyncQueue, IDB, fetch } = setup();
+  const mine = await SyncQueue.enqueue(note("1", "de 7"));
+
+  await IDB.setMeta(SyncQueue.USER_META_KEY, "8");
+  assert.equal(await SyncQueue.count(), 0);
+  const result = await SyncQueue.replay({ apiBase: API });
+  assert.equal(result.sent, 0);
+  assert.equal(fetch.calls.length, 0);
+
+  await IDB.deleteMeta(SyncQueue.USER_META_KEY);
+  assert.equal(await SyncQueue.count(), 0, "sin sesión tampoco se reenvían");
+
+  await IDB.setMeta(SyncQueue.USER_META_KEY, "7");
+  assert.deepEqual((await SyncQueue.getAll()).map((action) => action.id), [mine.id]);
+  assert.equal((await SyncQueue.replay({ apiBase: API })).sent, 1);
+});